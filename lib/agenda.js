@@ -0,0 +1,317 @@
+/**
+ * Agenda: facilitator mode with time boxes
+ *
+ * AGENDA_FILE loads an agenda when the bridge starts (no file = the bot stays
+ * purely reactive):
+ *
+ *   {
+ *     "title": "Weekly sync",
+ *     "items": [
+ *       { "title": "Roadmap review", "minutes": 10, "keywords": ["roadmap", "Q3"] },
+ *       { "title": "Hiring", "minutes": 5 }
+ *     ]
+ *   }
+ *
+ * The clock starts with the first utterance, on the first item. After that
+ * the current item changes when:
+ * - someone says "next item", "let's move on" etc. without addressing the bot
+ * - an utterance mentions two keywords of another item (its title words if it
+ *   has no keywords), once the current item has run for a minute
+ * - the update_agenda tool or POST /agenda says so (next, go_to, move, status)
+ *
+ * Warnings are spoken by the bridge: a heads-up AGENDA_HEADS_UP_MINUTES before
+ * an item's time box ends, and a time check once it runs over.
+ *
+ *   AGENDA_FILE              Agenda JSON (see above)
+ *   AGENDA_HEADS_UP_MINUTES  Heads-up before the time box ends (default 1, 0 = off)
+ *   AGENDA_TRACK             on (default) | off: only the tool and API move the agenda
+ *
+ * Every change is an `agenda` record. `end` records carry the time actually
+ * spent on the item (spentMs, across visits) next to its time box, and the
+ * session closes with a `summary` record listing every item.
+ */
+
+import fs from 'fs';
+import { normalizeWords } from './wake-word.js';
+
+const MINUTE_MS = 60 * 1000;
+const TICK_MS = 5000;
+// An item runs this long before the conversation can move the agenda by topic
+const TOPIC_SWITCH_AFTER_MS = MINUTE_MS;
+// A voice "next" this soon after a spoken transition confirms it instead of skipping another item
+const CONFIRM_WINDOW_MS = 15000;
+const TRANSITION = /\b(next (agenda )?(item|topic|point)|move on|moving on|let'?s move)\b/i;
+const GENERIC_WORDS = new Set(['review', 'update', 'updates', 'discussion', 'item', 'items', 'topic', 'other',
+  'with', 'from', 'about', 'into', 'next', 'last', 'week', 'this', 'that', 'team']);
+
+export const AGENDA_ACTIONS = ['status', 'next', 'go_to', 'move'];
+
+function loadAgenda(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read agenda file ${filePath}: ${err.message}`);
+  }
+  if (!data || !Array.isArray(data.items) || data.items.length === 0) {
+    throw new Error(`Agenda file ${filePath} must have a non-empty "items" array`);
+  }
+  const items = data.items.map((item, i) => {
+    const title = typeof item?.title === 'string' ? item.title.trim() : '';
+    if (!title) throw new Error(`Agenda item ${i + 1} needs a "title"`);
+    if (!(typeof item.minutes === 'number' && item.minutes > 0)) {
+      throw new Error(`Agenda item "${title}" needs "minutes" greater than 0`);
+    }
+    if (item.keywords !== undefined && !(Array.isArray(item.keywords) && item.keywords.every(k => typeof k === 'string'))) {
+      throw new Error(`Agenda item "${title}": "keywords" must be an array of strings`);
+    }
+    const keywords = item.keywords
+      ? item.keywords.flatMap(keyword => normalizeWords(keyword))
+      : normalizeWords(title).filter(word => word.length >= 4 && !GENERIC_WORDS.has(word));
+    return { id: `a${i + 1}`, title, minutes: item.minutes, keywords: [...new Set(keywords)] };
+  });
+  return { title: typeof data.title === 'string' ? data.title.trim() || null : null, items };
+}
+
+export function getAgendaConfig(env = process.env) {
+  if (!env.AGENDA_FILE) return null;
+  const headsUpMinutes = parseFloat(env.AGENDA_HEADS_UP_MINUTES || '1');
+  if (!(headsUpMinutes >= 0)) {
+    throw new Error('AGENDA_HEADS_UP_MINUTES must be a non-negative number');
+  }
+  const track = env.AGENDA_TRACK || 'on';
+  if (!['on', 'off'].includes(track)) {
+    throw new Error(`Unknown AGENDA_TRACK "${track}" (use on or off)`);
+  }
+  return { ...loadAgenda(env.AGENDA_FILE), path: env.AGENDA_FILE, headsUpMinutes, track: track === 'on' };
+}
+
+// 90000 → "2 minutes", for prompts and spoken warnings
+function minutesText(ms) {
+  const minutes = Math.max(1, Math.round(ms / MINUTE_MS));
+  return minutes === 1 ? 'one minute' : `${minutes} minutes`;
+}
+
+/**
+ * @param {object} options
+ * @param {object[]} options.items         From getAgendaConfig(): { id, title, minutes, keywords }
+ * @param {object} options.persona         Warning phrases (lib/persona.js)
+ * @param {object} options.sessionLog
+ * @param {Function} options.onWarning     (text) => false if it can't be said right now; retried on the next tick
+ * @param {Function} [options.now]
+ */
+export function createAgenda({
+  title = null,
+  items: agendaItems,
+  headsUpMinutes = 1,
+  track = true,
+  persona,
+  sessionLog,
+  onWarning,
+  now = Date.now
+}) {
+  // In agenda order; move() reorders
+  const items = agendaItems.map(item => ({ ...item, status: 'pending', spentMs: 0, warned: { headsUp: false, overTime: false } }));
+  let current = null;
+  let currentSince = null;
+  let lastChange = null;  // { source, at }
+  let started = false;
+
+  const timer = setInterval(tick, TICK_MS);
+  timer.unref();
+
+  const spentOn = (item) => item.spentMs + (item === current ? now() - currentSince : 0);
+  const brief = (item) => ({ itemId: item.id, title: item.title, plannedMinutes: item.minutes });
+
+  function endCurrent() {
+    if (!current) return;
+    const segmentMs = now() - currentSince;
+    current.spentMs += segmentMs;
+    current.status = 'done';
+    const overrunMs = Math.max(0, current.spentMs - current.minutes * MINUTE_MS);
+    console.log(`🗓️ Agenda: "${current.title}" took ${(current.spentMs / MINUTE_MS).toFixed(1)} of ${current.minutes} min`);
+    sessionLog.record('agenda', { event: 'end', ...brief(current), segmentMs, spentMs: current.spentMs, overrunMs });
+    current = null;
+    currentSince = null;
+  }
+
+  function startItem(item, source) {
+    if (item === current) return;
+    started = true;
+    endCurrent();
+    current = item;
+    currentSince = now();
+    item.status = 'current';
+    lastChange = { source, at: now() };
+    console.log(`🗓️ Agenda: now on "${item.title}" (${source})`);
+    sessionLog.record('agenda', { event: 'start', ...brief(item), source });
+  }
+
+  function finish(source) {
+    endCurrent();
+    lastChange = { source, at: now() };
+    console.log('🗓️ Agenda: all items covered');
+    sessionLog.record('agenda', { event: 'complete', source });
+  }
+
+  // The item after the current one that hasn't been covered yet
+  function upcoming() {
+    const from = current ? items.indexOf(current) + 1 : 0;
+    return items.slice(from).find(item => item.status === 'pending')
+      || items.find(item => item.status === 'pending')
+      || null;
+  }
+
+  function next(source) {
+    const item = upcoming();
+    if (item) startItem(item, source);
+    else if (current) finish(source);
+  }
+
+  // Called for every utterance; `addressed` ones are left to the model, which
+  // moves the agenda through the tool if asked
+  function observe(text, { addressed = false } = {}) {
+    if (!started) startItem(items[0], 'start');
+    if (!track || addressed || !current) return;
+    if (TRANSITION.test(text)) {
+      next('transcript');
+      return;
+    }
+    if (now() - currentSince < TOPIC_SWITCH_AFTER_MS) return;
+    const words = new Set(normalizeWords(text));
+    let best = null;
+    for (const item of items) {
+      if (item === current || item.keywords.length === 0) continue;
+      const hits = item.keywords.filter(keyword => words.has(keyword)).length;
+      if (hits >= Math.min(2, item.keywords.length) && (!best || hits > best.hits)) best = { item, hits };
+    }
+    if (best) startItem(best.item, 'transcript');
+  }
+
+  // A 1-based position ("3"), an item id, or (part of) a title
+  function find(ref) {
+    if (ref === undefined || ref === null || String(ref).trim() === '') throw new Error('"item" is required');
+    const text = String(ref).trim();
+    if (/^\d+$/.test(text)) {
+      const item = items[parseInt(text) - 1];
+      if (!item) throw new Error(`There is no agenda item ${text}`);
+      return item;
+    }
+    const wanted = normalizeWords(text).join(' ');
+    const item = items.find(i => i.id === text)
+      || items.find(i => normalizeWords(i.title).join(' ') === wanted)
+      || items.find(i => normalizeWords(i.title).join(' ').includes(wanted));
+    if (!item || !wanted) throw new Error(`No agenda item matches "${text}"`);
+    return item;
+  }
+
+  function move(ref, position, source) {
+    const item = find(ref);
+    const index = parseInt(position) - 1;
+    if (!(index >= 0 && index < items.length)) {
+      throw new Error(`"position" must be between 1 and ${items.length}`);
+    }
+    items.splice(items.indexOf(item), 1);
+    items.splice(index, 0, item);
+    console.log(`🗓️ Agenda: moved "${item.title}" to position ${index + 1}`);
+    sessionLog.record('agenda', { event: 'reorder', itemId: item.id, position: index + 1, order: items.map(i => i.id), source });
+  }
+
+  /**
+   * Tool / control API entry point: { action, item, position }.
+   * Returns { status, say } — say is a short spoken confirmation.
+   */
+  function update({ action = 'status', item, position } = {}, source = 'voice') {
+    switch (action) {
+      case 'status':
+        break;
+      case 'next':
+        if (!started) startItem(items[0], source);
+        // "Claw, next item" was probably already heard as a transition
+        else if (!(source === 'voice' && lastChange?.source === 'transcript' && now() - lastChange.at < CONFIRM_WINDOW_MS)) next(source);
+        break;
+      case 'go_to':
+        startItem(find(item), source);
+        break;
+      case 'move':
+        move(item, position, source);
+        break;
+      default:
+        throw new Error(`"action" must be one of ${AGENDA_ACTIONS.join(', ')}`);
+    }
+    return { status: toJSON(), say: statusLine() };
+  }
+
+  function statusLine() {
+    if (!current) {
+      const first = upcoming();
+      return first
+        ? persona.phrase('agendaNext', { item: first.title })
+        : persona.phrase('agendaComplete');
+    }
+    const after = upcoming();
+    const remainingMs = current.minutes * MINUTE_MS - spentOn(current);
+    const timing = remainingMs > 0 ? `${minutesText(remainingMs)} left` : `${minutesText(-remainingMs)} over`;
+    return `We're on ${current.title}, ${timing}.${after ? ` Next up: ${after.title}.` : ' That\'s the last item.'}`;
+  }
+
+  function tick() {
+    if (!current) return;
+    const remainingMs = current.minutes * MINUTE_MS - spentOn(current);
+    const after = upcoming();
+    let kind = null;
+    let text = null;
+    if (remainingMs <= 0 && !current.warned.overTime) {
+      kind = 'overTime';
+      text = persona.phrase(after ? 'agendaOverTime' : 'agendaOverTimeLast', { item: current.title, next: after?.title });
+    } else if (remainingMs > 0 && headsUpMinutes > 0 && remainingMs <= headsUpMinutes * MINUTE_MS && !current.warned.headsUp) {
+      kind = 'headsUp';
+      text = persona.phrase('agendaHeadsUp', { item: current.title, remaining: minutesText(remainingMs) });
+    }
+    if (!kind || onWarning(text) === false) return;
+    current.warned[kind] = true;
+    if (kind === 'overTime') current.warned.headsUp = true;
+    sessionLog.record('agenda', { event: 'warning', kind, ...brief(current), spentMs: spentOn(current) });
+  }
+
+  // Standing prompt context, so "what's next on the agenda?" is answered from it
+  function describe() {
+    const lines = items.map((item, i) => {
+      let state = '';
+      if (item === current) state = ` — CURRENT, ${minutesText(spentOn(item))} in`;
+      else if (item.status === 'done') state = ` — done, took ${minutesText(item.spentMs)}`;
+      return `${i + 1}. ${item.title} (${item.minutes} min)${state}`;
+    });
+    return `AGENDA${title ? ` (${title})` : ''} — you are keeping time for this meeting:\n${lines.join('\n')}\n`
+      + 'When asked about the agenda or what comes next, answer from this list. Call update_agenda only when someone asks to move to another item or reorder them.';
+  }
+
+  // Ends the current item and records the time spent on each
+  function close() {
+    clearInterval(timer);
+    if (!started) return;
+    endCurrent();
+    sessionLog.record('agenda', {
+      event: 'summary',
+      items: items.map(item => ({ itemId: item.id, title: item.title, plannedMinutes: item.minutes, spentMs: item.spentMs, status: item.status }))
+    });
+  }
+
+  // For GET /agenda and tool output
+  function toJSON() {
+    return {
+      title,
+      current: current ? current.id : null,
+      items: items.map((item, i) => ({
+        position: i + 1,
+        itemId: item.id,
+        title: item.title,
+        plannedMinutes: item.minutes,
+        spentMs: spentOn(item),
+        status: item.status
+      }))
+    };
+  }
+
+  return { observe, update, describe, statusLine, close, toJSON };
+}
@@ -0,0 +1,431 @@
+/**
+ * Audio I/O: capture sources and playback sinks for the bridges
+ *
+ * All audio is 16-bit little-endian mono PCM.
+ *
+ * AUDIO_INPUT
+ *   pulse (default)   parec from INPUT_DEVICE
+ *   file:<path>       WAV or raw PCM file, paced in real time unless AUDIO_INPUT_PACE=off
+ *   stdin             WAV or raw PCM on stdin
+ *   null              silence, in real time, until stopped (output-only runs)
+ *
+ * AUDIO_OUTPUT
+ *   pulse (default)   paplay to OUTPUT_DEVICE
+ *   file:<path>       WAV file; every playback is appended
+ *   stdout            raw PCM on stdout (console output moves to stderr)
+ *   null              discard
+ *
+ * Non-pulse sinks consume audio at real-time speed so barge-in and turn
+ * timing behave as they would in a meeting (AUDIO_OUTPUT_PACE=off to disable).
+ *
+ * Source: EventEmitter with start()/stop(); emits 'data' (Buffer), 'error', 'end'.
+ * Sink:   open({ sampleRate }) → player with `stdin` (Writable) and kill();
+ *         players emit 'close' when done and 'error' on failure, like the
+ *         paplay child process they replace.
+ */
+
+import fs from 'fs';
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { Writable } from 'stream';
+import { Buffer } from 'buffer';
+
+const CHUNK_MS = 50;
+const TRAILING_SILENCE_MS = 1000;  // lets server VAD close the last utterance
+const WAV_HEADER_BYTES = 44;
+
+function parseSpec(spec, fallback) {
+  const value = spec || fallback;
+  const colon = value.indexOf(':');
+  if (colon === -1) return { kind: value, path: null };
+  return { kind: value.slice(0, colon), path: value.slice(colon + 1) };
+}
+
+export function describeAudioSpec(spec, device) {
+  const { kind, path } = parseSpec(spec, 'pulse');
+  if (kind === 'pulse') return device;
+  return path ? `${kind} ${path}` : kind;
+}
+
+// Console output would corrupt PCM written to stdout
+export function reserveStdoutIfNeeded(outputSpec) {
+  if (parseSpec(outputSpec, 'pulse').kind === 'stdout') {
+    console.log = console.error;
+  }
+}
+
+// --- WAV helpers ---
+
+// Find the format and data chunks of a RIFF/WAVE header; null if `buf` isn't
+// WAV or doesn't yet hold the header up to the data chunk
+export function parseWavHeader(buf) {
+  if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+  let offset = 12;
+  let format = null;
+  while (offset + 8 <= buf.length) {
+    const id = buf.toString('ascii', offset, offset + 4);
+    const size = buf.readUInt32LE(offset + 4);
+    if (id === 'fmt ') {
+      if (offset + 24 > buf.length) return null;  // fmt chunk not all in yet
+      format = {
+        audioFormat: buf.readUInt16LE(offset + 8),
+        channels: buf.readUInt16LE(offset + 10),
+        sampleRate: buf.readUInt32LE(offset + 12),
+        bitsPerSample: buf.readUInt16LE(offset + 22)
+      };
+    } else if (id === 'data') {
+      if (!format) return null;
+      return { ...format, dataOffset: offset + 8, dataBytes: size };
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+export function createWavHeader({ sampleRate, channels = 1, dataBytes = 0 }) {
+  const header = Buffer.alloc(WAV_HEADER_BYTES);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);                        // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28); // byte rate
+  header.writeUInt16LE(channels * 2, 32);             // block align
+  header.writeUInt16LE(16, 34);                       // bits per sample
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+}
+
+// Rewrite the size fields so the file is valid even if we never close it
+export function updateWavHeader(fd, dataBytes) {
+  const sizes = Buffer.alloc(4);
+  sizes.writeUInt32LE(36 + dataBytes, 0);
+  fs.writeSync(fd, sizes, 0, 4, 4);
+  sizes.writeUInt32LE(dataBytes, 0);
+  fs.writeSync(fd, sizes, 0, 4, 40);
+}
+
+function downmixToMono(buf, channels) {
+  if (channels === 1) return buf;
+  const frames = Math.floor(buf.length / (2 * channels));
+  const mono = Buffer.alloc(frames * 2);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += buf.readInt16LE((i * channels + c) * 2);
+    mono.writeInt16LE(Math.round(sum / channels), i * 2);
+  }
+  return mono;
+}
+
+function checkWavFormat(wav, sampleRate, label) {
+  if (wav.audioFormat !== 1 || wav.bitsPerSample !== 16) {
+    throw new Error(`${label}: only 16-bit PCM WAV is supported`);
+  }
+  if (wav.sampleRate !== sampleRate) {
+    throw new Error(`${label}: sample rate is ${wav.sampleRate} Hz, expected ${sampleRate} Hz (set SAMPLE_RATE or resample)`);
+  }
+}
+
+// --- Sources ---
+
+export function createAudioSource({ spec = process.env.AUDIO_INPUT, device, sampleRate, env = process.env }) {
+  const { kind, path } = parseSpec(spec, 'pulse');
+  switch (kind) {
+    case 'pulse': return createPulseSource(device, sampleRate);
+    case 'file': return createFileSource(path, sampleRate, env.AUDIO_INPUT_PACE !== 'off');
+    case 'stdin': return createStdinSource(sampleRate);
+    case 'null': return createNullSource(sampleRate);
+    default: throw new Error(`Unknown AUDIO_INPUT "${spec}" (use pulse, file:<path>, stdin or null)`);
+  }
+}
+
+function createPulseSource(device, sampleRate) {
+  const source = new EventEmitter();
+  let parecord = null;
+
+  function start() {
+    parecord = spawn('parec', [
+      '--device=' + device,
+      '--format=s16le',
+      '--rate=' + sampleRate,
+      '--channels=1',
+      '--latency-msec=50'
+    ]);
+
+    parecord.stdout.on('data', (chunk) => source.emit('data', chunk));
+    parecord.stderr.on('data', (data) => {
+      console.error('parec:', data.toString());
+    });
+    parecord.on('error', (err) => source.emit('error', err));
+    parecord.on('close', (code) => {
+      if (code !== 0 && code !== null) {
+        console.error(`parec exited with code ${code}`);
+      }
+    });
+  }
+
+  function stop() {
+    if (parecord) parecord.kill();
+  }
+
+  return Object.assign(source, { start, stop });
+}
+
+function createFileSource(path, sampleRate, paced) {
+  const source = new EventEmitter();
+  let timer = null;
+  let fd = null;
+
+  function start() {
+    let position, end, channels;
+    try {
+      fd = fs.openSync(path, 'r');
+      const head = Buffer.alloc(4096);
+      const headBytes = fs.readSync(fd, head, 0, head.length, 0);
+      const wav = parseWavHeader(head.subarray(0, headBytes));
+      const fileBytes = fs.fstatSync(fd).size;
+      if (wav) {
+        checkWavFormat(wav, sampleRate, path);
+        position = wav.dataOffset;
+        end = Math.min(fileBytes, wav.dataOffset + wav.dataBytes);
+        channels = wav.channels;
+      } else {
+        position = 0;
+        end = fileBytes;
+        channels = 1;
+      }
+    } catch (err) {
+      setImmediate(() => source.emit('error', err));
+      return;
+    }
+
+    const chunkBytes = Math.round(sampleRate * CHUNK_MS / 1000) * 2 * channels;
+    let silenceLeft = Math.round(sampleRate * TRAILING_SILENCE_MS / 1000) * 2;
+    const startedAt = Date.now();
+    let sentMs = 0;
+
+    const pump = () => {
+      if (position < end) {
+        const buf = Buffer.alloc(Math.min(chunkBytes, end - position));
+        const read = fs.readSync(fd, buf, 0, buf.length, position);
+        position += read;
+        source.emit('data', downmixToMono(buf.subarray(0, read), channels));
+      } else if (silenceLeft > 0) {
+        const bytes = Math.min(silenceLeft, chunkBytes / channels);
+        silenceLeft -= bytes;
+        source.emit('data', Buffer.alloc(bytes));
+      } else {
+        stop();
+        source.emit('end');
+        return;
+      }
+      sentMs += CHUNK_MS;
+      timer = paced
+        ? setTimeout(pump, Math.max(0, startedAt + sentMs - Date.now()))
+        : setImmediate(pump);
+    };
+    pump();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    clearImmediate(timer);
+    timer = null;
+    if (fd !== null) {
+      fs.closeSync(fd);
+      fd = null;
+    }
+  }
+
+  return Object.assign(source, { start, stop });
+}
+
+// Never ends on its own, so the session runs until STT closes or it is stopped
+function createNullSource(sampleRate) {
+  const source = new EventEmitter();
+  const chunk = Buffer.alloc(Math.round(sampleRate * CHUNK_MS / 1000) * 2);
+  let timer = null;
+
+  function start() {
+    timer = setInterval(() => source.emit('data', chunk), CHUNK_MS);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return Object.assign(source, { start, stop });
+}
+
+function createStdinSource(sampleRate) {
+  const source = new EventEmitter();
+  let head = Buffer.alloc(0);
+  let channels = null;  // unknown until we've seen enough bytes to rule out a WAV header
+
+  const onData = (chunk) => {
+    if (channels === null) {
+      head = Buffer.concat([head, chunk]);
+      if (head.length < 12) return;
+      if (head.toString('ascii', 0, 4) === 'RIFF') {
+        const wav = parseWavHeader(head);
+        if (!wav) {
+          if (head.length > 65536) {
+            source.emit('error', new Error('stdin: unreadable WAV header'));
+            stop();
+          }
+          return;
+        }
+        try {
+          checkWavFormat(wav, sampleRate, 'stdin');
+        } catch (err) {
+          source.emit('error', err);
+          stop();
+          return;
+        }
+        channels = wav.channels;
+        chunk = head.subarray(wav.dataOffset);
+      } else {
+        channels = 1;
+        chunk = head;
+      }
+      head = null;
+    }
+    if (chunk.length > 0) source.emit('data', downmixToMono(chunk, channels));
+  };
+  const onEnd = () => source.emit('end');
+
+  function start() {
+    process.stdin.on('data', onData);
+    process.stdin.on('end', onEnd);
+  }
+
+  function stop() {
+    process.stdin.off('data', onData);
+    process.stdin.off('end', onEnd);
+    process.stdin.pause();
+  }
+
+  return Object.assign(source, { start, stop });
+}
+
+// --- Sinks ---
+
+export function createAudioSink({ spec = process.env.AUDIO_OUTPUT, device, env = process.env }) {
+  const { kind, path } = parseSpec(spec, 'pulse');
+  const paced = env.AUDIO_OUTPUT_PACE !== 'off';
+  switch (kind) {
+    case 'pulse': return { open: ({ sampleRate }) => openPaplay(device, sampleRate), close() {} };
+    case 'file': return createWavFileSink(path, paced);
+    case 'stdout': return createStreamSink((chunk) => process.stdout.write(chunk), paced);
+    case 'null': return createStreamSink(() => {}, paced);
+    default: throw new Error(`Unknown AUDIO_OUTPUT "${spec}" (use pulse, file:<path>, stdout or null)`);
+  }
+}
+
+function openPaplay(device, sampleRate) {
+  const paplayProc = spawn('paplay', [
+    '--device=' + device,
+    '--format=s16le',
+    '--rate=' + sampleRate,
+    '--channels=1',
+    '--raw'
+  ], { stdio: ['pipe', 'ignore', 'ignore'] });
+  // EPIPE once paplay is killed mid-stream
+  paplayProc.stdin.on('error', () => {});
+  return paplayProc;
+}
+
+// A player whose stdin hands chunks to `write`, consuming them at real-time
+// speed when paced. Emits 'close' once the stream ends or is killed.
+function createPlayer(sampleRate, write, paced) {
+  const player = new EventEmitter();
+  const startedAt = Date.now();
+  let playedMs = 0;
+  let killed = false;
+  let closed = false;
+  let pendingTimer = null;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearTimeout(pendingTimer);
+    setImmediate(() => player.emit('close', killed ? null : 0));
+  };
+
+  player.stdin = new Writable({
+    write(chunk, encoding, callback) {
+      if (killed) return callback();
+      try {
+        write(chunk);
+      } catch (err) {
+        return callback(err);
+      }
+      playedMs += chunk.length / (sampleRate * 2) * 1000;
+      if (!paced) return callback();
+      pendingTimer = setTimeout(callback, Math.max(0, startedAt + playedMs - Date.now()));
+    },
+    final(callback) {
+      callback();
+      close();
+    }
+  });
+  player.stdin.on('error', (err) => {
+    if (!killed) player.emit('error', err);
+  });
+
+  player.kill = () => {
+    killed = true;
+    close();
+    player.stdin.destroy();
+  };
+
+  return player;
+}
+
+function createStreamSink(write, paced) {
+  return {
+    open: ({ sampleRate }) => createPlayer(sampleRate, write, paced),
+    close() {}
+  };
+}
+
+// Appends every playback to one WAV file
+function createWavFileSink(path, paced) {
+  let fd = null;
+  let fileRate = null;
+  let dataBytes = 0;
+
+  function open({ sampleRate }) {
+    if (fd === null) {
+      fd = fs.openSync(path, 'w');
+      fileRate = sampleRate;
+      fs.writeSync(fd, createWavHeader({ sampleRate }));
+    } else if (sampleRate !== fileRate) {
+      console.error(`⚠️ Output ${path} is ${fileRate} Hz, got ${sampleRate} Hz audio`);
+    }
+    const player = createPlayer(sampleRate, (chunk) => {
+      fs.writeSync(fd, chunk);
+      dataBytes += chunk.length;
+    }, paced);
+    player.on('close', () => {
+      if (fd !== null) updateWavHeader(fd, dataBytes);
+    });
+    return player;
+  }
+
+  function close() {
+    if (fd === null) return;
+    updateWavHeader(fd, dataBytes);
+    fs.closeSync(fd);
+    fd = null;
+  }
+
+  return { open, close };
+}
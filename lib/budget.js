@@ -0,0 +1,189 @@
+/**
+ * Budget: caps on paid API usage, per session and per rolling hour
+ *
+ * Three meters, each with an optional session cap and hourly cap (unset or
+ * 0 = no cap):
+ *
+ *   BUDGET_LLM_TOKENS, BUDGET_LLM_TOKENS_PER_HOUR   Chat tokens (prompt + completion)
+ *   BUDGET_TTS_CHARS, BUDGET_TTS_CHARS_PER_HOUR     Characters sent to TTS
+ *   BUDGET_SEARCHES, BUDGET_SEARCHES_PER_HOUR       Web searches
+ *   BUDGET_LOW_AT        Share of a cap left at which replies get shorter (default 0.2)
+ *   SEARCH_COOLDOWN_MS   Repeating the previous search within this long reuses its
+ *                        results instead of searching again (default 120000)
+ *
+ * As the chat-token or TTS caps run out, check() steps the bot down:
+ *
+ *   ok         Normal
+ *   low        Under BUDGET_LOW_AT left: shorter replies
+ *   exhausted  A cap is used up: no more replies, the transcript is still
+ *              logged, and the bridge says the budgetExhausted phrase once
+ *
+ * Searches are metered separately; once they run out web_search fails with
+ * code BUDGET_EXCEEDED. Hourly caps free up again as usage ages out of the
+ * hour, and the level goes back up with them. Exit summaries are counted
+ * but never blocked.
+ */
+
+import { normalizeWords } from './wake-word.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const METERS = ['llmTokens', 'ttsChars', 'searches'];
+const LEVELS = ['ok', 'low', 'exhausted'];
+
+export function getBudgetConfig(env = process.env) {
+  const cap = (name) => {
+    const value = Number(env[name] || 0);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`${name} must be a non-negative number`);
+    }
+    return value;
+  };
+  const lowAt = parseFloat(env.BUDGET_LOW_AT || '0.2');
+  if (!(lowAt >= 0 && lowAt < 1)) {
+    throw new Error('BUDGET_LOW_AT must be at least 0 and below 1');
+  }
+  return {
+    limits: {
+      llmTokens: { session: cap('BUDGET_LLM_TOKENS'), hour: cap('BUDGET_LLM_TOKENS_PER_HOUR') },
+      ttsChars: { session: cap('BUDGET_TTS_CHARS'), hour: cap('BUDGET_TTS_CHARS_PER_HOUR') },
+      searches: { session: cap('BUDGET_SEARCHES'), hour: cap('BUDGET_SEARCHES_PER_HOUR') }
+    },
+    lowAt,
+    searchCooldownMs: parseInt(env.SEARCH_COOLDOWN_MS || '120000')
+  };
+}
+
+// Human-readable caps for the startup banner, e.g. "llmTokens 50000/session"
+export function describeBudget({ limits }) {
+  const caps = [];
+  for (const meter of METERS) {
+    for (const window of ['session', 'hour']) {
+      if (limits[meter]?.[window]) caps.push(`${meter} ${limits[meter][window]}/${window}`);
+    }
+  }
+  return caps.length > 0 ? caps.join(', ') : 'no caps';
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.limits           { llmTokens, ttsChars, searches } → { session, hour }
+ * @param {number} [options.lowAt]
+ * @param {number} [options.searchCooldownMs]
+ * @param {object} [options.sessionLog]     Gets a `budget` record on every level change
+ * @param {Function} [options.now]
+ */
+export function createBudget({ limits, lowAt = 0.2, searchCooldownMs = 120000, sessionLog = null, now = Date.now }) {
+  const meters = Object.fromEntries(METERS.map(meter => [meter, { total: 0, recent: [] }]));
+  let level = 'ok';
+  let lastSearch = null;  // { key, results, at }
+
+  function add(meter, amount) {
+    if (!amount) return;
+    meters[meter].total += amount;
+    meters[meter].recent.push({ at: now(), amount });
+  }
+
+  function usage(meter) {
+    const m = meters[meter];
+    const since = now() - HOUR_MS;
+    m.recent = m.recent.filter(entry => entry.at > since);
+    return { session: m.total, hour: m.recent.reduce((sum, entry) => sum + entry.amount, 0) };
+  }
+
+  // The cap closest to running out: { meter, window, used, limit, left } (left is a share), or null if uncapped
+  function tightest(meter) {
+    const used = usage(meter);
+    let result = null;
+    for (const window of ['session', 'hour']) {
+      const limit = limits[meter]?.[window];
+      if (!limit) continue;
+      const left = Math.max(0, 1 - used[window] / limit);
+      if (!result || left < result.left) result = { meter, window, used: used[window], limit, left };
+    }
+    return result;
+  }
+
+  // Current level; logs and records a change
+  function check() {
+    let next = 'ok';
+    let reason = null;
+    for (const meter of ['llmTokens', 'ttsChars']) {
+      const cap = tightest(meter);
+      if (!cap) continue;
+      const capLevel = cap.left <= 0 ? 'exhausted' : cap.left < lowAt ? 'low' : 'ok';
+      if (LEVELS.indexOf(capLevel) > LEVELS.indexOf(next)) {
+        next = capLevel;
+        reason = cap;
+      }
+    }
+    if (next !== level) {
+      level = next;
+      const detail = reason ? { meter: reason.meter, window: reason.window, used: reason.used, limit: reason.limit } : {};
+      console.log(reason
+        ? `💸 Budget ${level}: ${reason.meter} ${reason.used}/${reason.limit} this ${reason.window}`
+        : '💸 Budget back to normal');
+      sessionLog?.record('budget', { level, ...detail });
+    }
+    return level;
+  }
+
+  // Run `search` unless it repeats the previous query within the cooldown
+  // (its results are reused) or the search cap is used up (throws)
+  async function search(query, run) {
+    const key = normalizeWords(query).join(' ');
+    if (lastSearch && lastSearch.key === key && now() - lastSearch.at < searchCooldownMs) {
+      console.log('♻️ Same search as last time, reusing its results');
+      return lastSearch.results;
+    }
+    const cap = tightest('searches');
+    if (cap && cap.left <= 0) {
+      throw Object.assign(new Error(`Search budget used up (${cap.limit} per ${cap.window})`), { code: 'BUDGET_EXCEEDED' });
+    }
+    add('searches', 1);
+    const results = await run();
+    lastSearch = { key, results, at: now() };
+    return results;
+  }
+
+  // Wrap an LLM provider so reported token usage is counted
+  function instrumentLLM(llm) {
+    const count = (result) => add('llmTokens', (result.usage?.promptTokens || 0) + (result.usage?.completionTokens || 0));
+    const wrapped = {
+      ...llm,
+      async complete(options) {
+        const result = await llm.complete(options);
+        count(result);
+        return result;
+      }
+    };
+    if (typeof llm.stream === 'function') {
+      wrapped.stream = async function* (options) {
+        for await (const event of llm.stream(options)) {
+          if (event.type === 'done') count(event);
+          yield event;
+        }
+      };
+    }
+    return wrapped;
+  }
+
+  function instrumentTTS(tts) {
+    return {
+      ...tts,
+      synthesize(text, options) {
+        add('ttsChars', text.length);
+        return tts.synthesize(text, options);
+      }
+    };
+  }
+
+  // Usage and caps for GET /budget
+  function toJSON() {
+    return {
+      level,
+      meters: Object.fromEntries(METERS.map(meter => [meter, { used: usage(meter), limits: limits[meter] }]))
+    };
+  }
+
+  return { add, check, search, instrumentLLM, instrumentTTS, toJSON, get level() { return level; } };
+}
@@ -0,0 +1,241 @@
+/**
+ * Control Server: local HTTP API for the parent agent
+ *
+ * Listens on 127.0.0.1:CONTROL_PORT (default 18900), or on a Unix socket if
+ * CONTROL_SOCKET is set. Set CONTROL_PORT=off to disable.
+ *
+ * Endpoints:
+ * - GET  /state          Current bridge state as JSON
+ * - GET  /events         Server-sent events: `state` on connect, then `signal`
+ * - GET  /live           Server-sent session-log records, and GET / the live
+ *                        caption page (if the bridge passes `live`, see lib/live-view.js)
+ * - GET  /<query>        Read-only data supplied by the bridge, e.g. GET /tasks
+ *                        (JSON, or text/plain if the query returns a string)
+ * - POST /<command>      Run a command, e.g. POST /mute or POST /speak {"text": "..."}
+ *
+ * Commands and queries are supplied by the bridge. A command may throw an error with a
+ * `statusCode` property to choose the HTTP status (default 400).
+ *
+ *   CONTROL_HOST    Address to listen on (default 127.0.0.1)
+ *   CONTROL_TOKEN   Shared secret; every request must then send
+ *                   `Authorization: Bearer <token>` (or ?token=<token>, for the
+ *                   live view). Required when CONTROL_HOST is not loopback.
+ *
+ * Any web page open on this host can reach 127.0.0.1, so POSTs must be
+ * `Content-Type: application/json` (which a page can't send cross-origin
+ * without a preflight) and requests from a foreign `Origin` are refused.
+ * The `Host` header must name the listen address or loopback, with the
+ * port, so a DNS-rebound domain (evil.example → 127.0.0.1) is refused too.
+ */
+
+import http from 'http';
+import fs from 'fs';
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+
+const MAX_BODY_BYTES = 64 * 1024;
+const HEARTBEAT_MS = 15000;
+
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+const isLoopback = (host) => LOOPBACK_HOSTS.includes(host) || /^127\./.test(host);
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+export function getControlServerConfig(env = process.env) {
+  const token = env.CONTROL_TOKEN || null;
+  if (env.CONTROL_SOCKET) return { socketPath: env.CONTROL_SOCKET, token };
+  const port = env.CONTROL_PORT || '18900';
+  if (port === 'off' || port === '0') return null;
+  const host = env.CONTROL_HOST || '127.0.0.1';
+  if (!token && !isLoopback(host)) {
+    throw new Error(`CONTROL_TOKEN is required when CONTROL_HOST (${host}) is not a loopback address`);
+  }
+  return { port: parseInt(port), host, token };
+}
+
+// Same-origin requests (the live view) and non-browser clients, which send no Origin
+function isForeignOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return false;
+  try {
+    return new URL(origin).host !== req.headers.host;
+  } catch (err) {
+    return true;
+  }
+}
+
+// Host header → hostname without IPv6 brackets, and port
+function parseHostHeader(value) {
+  try {
+    const { hostname, port } = new URL(`http://${value}`);
+    return { hostname: hostname.replace(/^\[|\]$/g, ''), port: port || '80' };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Requests must be addressed to us by loopback name or the listen address.
+// Listening on a wildcard address, the token is what keeps others out.
+function isForeignHost(req, host, port, token) {
+  if (token && WILDCARD_HOSTS.includes(host)) return false;
+  const target = parseHostHeader(req.headers.host || '');
+  if (!target || target.port !== String(port)) return true;
+  return !(isLoopback(target.hostname) || target.hostname === host);
+}
+
+function hasToken(req, url, token) {
+  const header = req.headers.authorization || '';
+  const given = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+  if (!given) return false;
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(given);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+export function startControlServer({ socketPath, port, host = '127.0.0.1', token = null, getState, commands, queries = {}, live = null }) {
+  const clients = new Set();
+  const liveClients = new Set();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const name = url.pathname.replace(/^\/+|\/+$/g, '');
+
+    try {
+      // Unix socket clients can't be web pages; the Host header means nothing there
+      if (!socketPath && isForeignHost(req, host, port, token)) throw httpError(403, 'Unexpected Host header');
+      if (isForeignOrigin(req)) throw httpError(403, 'Cross-origin requests are not allowed');
+      if (token && !hasToken(req, url, token)) throw httpError(401, 'Missing or wrong control token');
+
+      if (req.method === 'GET' && name === 'state') {
+        return sendJson(res, 200, getState());
+      }
+
+      if (req.method === 'GET' && live && name === '') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        return res.end(live.page());
+      }
+
+      if (req.method === 'GET' && name === 'events') {
+        openStream(res);
+        writeEvent(res, 'state', getState());
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+        return;
+      }
+
+      if (req.method === 'GET' && live && name === 'live') {
+        openStream(res);
+        const unsubscribe = live.subscribe(res);
+        liveClients.add(res);
+        req.on('close', () => {
+          unsubscribe();
+          liveClients.delete(res);
+        });
+        return;
+      }
+
+      if (req.method === 'GET' && Object.hasOwn(queries, name)) {
+        const result = queries[name]();
+        if (typeof result === 'string') {
+          res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+          return res.end(result);
+        }
+        return sendJson(res, 200, result);
+      }
+
+      if (req.method === 'POST' && Object.hasOwn(commands, name)) {
+        if ((req.headers['content-type'] || '').split(';')[0].trim().toLowerCase() !== 'application/json') {
+          throw httpError(415, 'POST requests must be Content-Type: application/json');
+        }
+        const body = await readJsonBody(req);
+        const result = await commands[name](body);
+        return sendJson(res, 200, { ok: true, ...result, state: getState() });
+      }
+
+      sendJson(res, 404, { ok: false, error: `Unknown endpoint: ${req.method} /${name}` });
+    } catch (err) {
+      sendJson(res, err.statusCode || 400, { ok: false, error: err.message });
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const client of [...clients, ...liveClients]) client.write(': ping\n\n');
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  server.on('error', (err) => {
+    console.error('⚠️ Control server error:', err.message);
+  });
+
+  if (socketPath) {
+    // A stale socket from a crashed run would make listen() fail
+    try { fs.unlinkSync(socketPath); } catch (e) { /* not there */ }
+    server.listen(socketPath, () => console.log(`🎛️ Control API on ${socketPath}`));
+  } else {
+    server.listen(port, host, () => {
+      console.log(`🎛️ Control API on http://${host}:${port}`);
+      if (live) console.log(`👀 Live view on http://${host}:${port}/${token ? '?token=<CONTROL_TOKEN>' : ''}`);
+    });
+  }
+
+  // Push an event to every connected /events client
+  function broadcast(event, data) {
+    for (const client of clients) writeEvent(client, event, data);
+  }
+
+  function close() {
+    clearInterval(heartbeat);
+    for (const client of [...clients, ...liveClients]) client.end();
+    clients.clear();
+    liveClients.clear();
+    server.close();
+  }
+
+  return { broadcast, close };
+}
+
+function openStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+}
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+      if (data.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!data.trim()) return resolve({});
+      let body;
+      try {
+        body = JSON.parse(data);
+      } catch (e) {
+        return reject(new Error('Request body must be JSON'));
+      }
+      // Commands destructure their options: `null` counts as no body, and
+      // anything but an object is refused before it reaches them
+      if (body === null) return resolve({});
+      if (typeof body !== 'object' || Array.isArray(body)) return reject(new Error('Request body must be a JSON object'));
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
@@ -0,0 +1,117 @@
+/**
+ * Echo Guard: keep the bot from hearing (and answering) its own voice
+ *
+ * Many meeting clients play the bot's TTS back into meeting-output. Two
+ * defences, both keyed to the bot's own playback windows:
+ *
+ * - Capture: while the bot is playing and for ECHO_TAIL_MS afterwards, input
+ *   audio is attenuated (default) or replaced with silence before it reaches
+ *   VAD/STT. Attenuation keeps a participant talking over the bot loud
+ *   enough for barge-in; "gate" gives up barge-in for a clean cut.
+ * - Transcripts: an utterance heard during or shortly after playback whose
+ *   words mostly repeat what the bot just said is dropped as an echo.
+ *
+ *   ECHO_GUARD           attenuate (default) | gate | off (disables both)
+ *   ECHO_ATTENUATION_DB  How much to turn capture down while speaking (default 12)
+ *   ECHO_TAIL_MS         Keep suppressing this long after playback (default 600)
+ *   ECHO_MATCH           Share of an utterance's words that must match recent
+ *                        bot output to count as echo (default 0.6, 0 = off)
+ *   ECHO_WINDOW_MS       How long after playback a transcript can still be an echo (default 5000)
+ */
+
+import { Buffer } from 'buffer';
+import { normalizeWords } from './wake-word.js';
+
+const MIN_ECHO_WORDS = 2;      // "okay" alone is as likely to be a participant
+const OUTPUT_MEMORY_MS = 60000;
+
+export function getEchoGuardConfig(env = process.env) {
+  const mode = env.ECHO_GUARD || 'attenuate';
+  if (!['attenuate', 'gate', 'off'].includes(mode)) {
+    throw new Error(`Unknown ECHO_GUARD "${mode}" (use attenuate, gate or off)`);
+  }
+  return {
+    mode,
+    attenuationDb: parseFloat(env.ECHO_ATTENUATION_DB || '12'),
+    tailMs: parseInt(env.ECHO_TAIL_MS || '600'),
+    matchThreshold: parseFloat(env.ECHO_MATCH || '0.6'),
+    windowMs: parseInt(env.ECHO_WINDOW_MS || '5000')
+  };
+}
+
+// Longest common subsequence of two word lists
+function commonWords(a, b) {
+  let prev = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [0];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = a[i - 1] === b[j - 1] ? prev[j - 1] + 1 : Math.max(prev[j], curr[j - 1]);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+export function createEchoGuard({ mode = 'attenuate', attenuationDb = 12, tailMs = 600, matchThreshold = 0.6, windowMs = 5000 } = {}) {
+  const gain = Math.pow(10, -attenuationDb / 20);
+  let playing = 0;            // overlapping playbacks
+  let lastPlaybackEnd = 0;
+  let outputs = [];           // { words, at } of recent bot speech
+
+  const enabled = mode !== 'off';
+
+  function playbackStarted() {
+    playing++;
+  }
+
+  function playbackEnded() {
+    playing = Math.max(0, playing - 1);
+    lastPlaybackEnd = Date.now();
+  }
+
+  // Text the bot is saying (or about to say)
+  function addOutput(text) {
+    if (!enabled) return;
+    const now = Date.now();
+    outputs = outputs.filter(output => now - output.at < OUTPUT_MEMORY_MS);
+    outputs.push({ words: normalizeWords(text), at: now });
+  }
+
+  function suppressing(windowAfterMs) {
+    return playing > 0 || Date.now() - lastPlaybackEnd < windowAfterMs;
+  }
+
+  // Input audio with the bot's playback windows turned down or silenced
+  function filterAudio(chunk) {
+    if (!enabled || !suppressing(tailMs)) return chunk;
+    if (mode === 'gate') return Buffer.alloc(chunk.length);
+    const out = Buffer.alloc(chunk.length);
+    for (let i = 0; i + 1 < chunk.length; i += 2) {
+      out.writeInt16LE(Math.round(chunk.readInt16LE(i) * gain), i);
+    }
+    return out;
+  }
+
+  // { similarity } if `text` looks like the bot's own recent words, else null
+  function matchEcho(text) {
+    if (!enabled || matchThreshold <= 0 || !suppressing(windowMs)) return null;
+    const words = normalizeWords(text);
+    if (words.length < MIN_ECHO_WORDS) return null;
+    let best = 0;
+    for (const output of outputs) {
+      best = Math.max(best, commonWords(words, output.words) / words.length);
+    }
+    return best >= matchThreshold ? { similarity: Math.round(best * 100) / 100 } : null;
+  }
+
+  return {
+    mode,
+    enabled,
+    playbackStarted,
+    playbackEnded,
+    addOutput,
+    filterAudio,
+    matchEcho,
+    get speaking() { return playing > 0; }
+  };
+}
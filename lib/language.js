@@ -0,0 +1,158 @@
+/**
+ * Language: per-utterance language detection, reply language and TTS voice
+ *
+ * Meetings that switch between languages get replies in the language of the
+ * utterance being answered, spoken with that language's voice and model.
+ *
+ *   LANGUAGES             Languages spoken in the meeting, first is the default
+ *                         (default "en"; supported: en, es, de). With only one,
+ *                         detection is off, and if set explicitly STT is told the language.
+ *   LANGUAGE_VOICES       ElevenLabs voice per language, e.g. "es=<voice id>,de=<voice id>"
+ *                         (others use the persona / ELEVENLABS_VOICE_ID voice)
+ *   LANGUAGE_TTS_MODELS   ElevenLabs model per language, e.g. "de=eleven_multilingual_v2"
+ *                         (default eleven_turbo_v2_5, which speaks all three)
+ *
+ * Detection counts common function words (and letters like ñ or ß) per
+ * language. Utterances too short or too mixed to tell keep the previous
+ * utterance's language, so "okay" or "Claw?" doesn't flip it.
+ */
+
+import { normalizeWords } from './wake-word.js';
+
+// name: for the model; markers: letters only that language uses
+export const LANGUAGES = {
+  en: {
+    name: 'English',
+    stopwords: ['the', 'and', 'is', 'are', 'you', 'to', 'of', 'what', 'that', 'it', 'we', 'this', 'for',
+      'with', 'can', 'do', 'does', 'please', 'have', 'i', 'how', 'about', 'our', 'was', 'will', 'be',
+      'hello', 'thanks', 'good', 'morning', 'everyone', 'yes'],
+    markers: null,
+    // Street abbreviations, spelled out for TTS
+    abbreviations: [
+      [/\bSt\b(?=\s|,|$)/g, 'Street'],
+      [/\bAve\b(?=\s|,|$)/g, 'Avenue'],
+      [/\bBlvd\b(?=\s|,|$)/g, 'Boulevard'],
+      [/\bDr\b(?=\s|,|$)/g, 'Drive'],
+      [/\bRd\b(?=\s|,|$)/g, 'Road'],
+      [/\bLn\b(?=\s|,|$)/g, 'Lane'],
+      [/\bCt\b(?=\s|,|$)/g, 'Court'],
+      [/\bPl\b(?=\s|,|$)/g, 'Place']
+    ]
+  },
+  es: {
+    name: 'Spanish',
+    stopwords: ['el', 'la', 'los', 'las', 'que', 'y', 'es', 'en', 'un', 'una', 'por', 'para', 'con',
+      'no', 'se', 'lo', 'como', 'esta', 'son', 'hay', 'del', 'al', 'pero', 'muy', 'puedes', 'nosotros', 'tu', 'mi',
+      'hola', 'gracias', 'buenos', 'dias', 'todos', 'si'],
+    markers: /[ñ¿¡]/i,
+    abbreviations: [
+      [/\bAv(?:da)?\.(?=\s)/g, 'Avenida'],
+      [/\bC\/\s?/g, 'Calle '],
+      [/\bPza\.(?=\s)/g, 'Plaza'],
+      [/\bSra\.(?=\s)/g, 'Señora'],
+      [/\bSr\.(?=\s)/g, 'Señor'],
+      [/\bDr\.(?=\s)/g, 'Doctor'],
+      [/\bnº\s?/gi, 'número ']
+    ]
+  },
+  de: {
+    name: 'German',
+    stopwords: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'wir', 'sie', 'ein', 'eine', 'zu',
+      'mit', 'auf', 'fur', 'was', 'wie', 'den', 'dem', 'kannst', 'bitte', 'haben', 'auch', 'noch', 'aber', 'wo', 'uns',
+      'hallo', 'danke', 'guten', 'morgen', 'zusammen', 'ja'],
+    markers: /[äöüß]/i,
+    abbreviations: [
+      [/(\p{L})str\.(?=\s|,|$)/gu, '$1straße'],
+      [/\bStr\.(?=\s|,|$)/g, 'Straße'],
+      [/\bNr\.\s?/g, 'Nummer '],
+      [/\bz\.\s?B\./g, 'zum Beispiel'],
+      [/\busw\./g, 'und so weiter'],
+      [/\bca\.(?=\s)/g, 'circa'],
+      [/\bDr\.(?=\s)/g, 'Doktor']
+    ]
+  }
+};
+
+// "es=abc,de=def" → { es: 'abc', de: 'def' }
+function parseLanguageMap(value, variable, languages) {
+  const map = {};
+  for (const entry of (value || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const [code, setting] = entry.split('=').map(part => part.trim());
+    if (!setting || !languages.includes(code)) {
+      throw new Error(`${variable}: "${entry}" must be <language>=<value> for one of ${languages.join(', ')}`);
+    }
+    map[code] = setting;
+  }
+  return map;
+}
+
+export function getLanguageConfig(env = process.env) {
+  const languages = (env.LANGUAGES || 'en').split(',').map(code => code.trim().toLowerCase()).filter(Boolean);
+  const unknown = languages.filter(code => !LANGUAGES[code]);
+  if (languages.length === 0 || unknown.length > 0) {
+    throw new Error(`Unsupported LANGUAGES "${env.LANGUAGES}" (supported: ${Object.keys(LANGUAGES).join(', ')})`);
+  }
+  return {
+    languages,
+    // Only an explicit single language is forced on STT; the default still auto-detects
+    sttLanguage: env.LANGUAGES && languages.length === 1 ? languages[0] : null,
+    voices: parseLanguageMap(env.LANGUAGE_VOICES, 'LANGUAGE_VOICES', languages),
+    models: parseLanguageMap(env.LANGUAGE_TTS_MODELS, 'LANGUAGE_TTS_MODELS', languages)
+  };
+}
+
+export const languageName = (code) => LANGUAGES[code]?.name || code;
+
+// Best-scoring language of `text` among `candidates`, or null if it can't tell
+export function detectLanguage(text, candidates) {
+  const words = normalizeWords(text);
+  const scores = candidates.map((code) => {
+    const { stopwords, markers } = LANGUAGES[code];
+    let score = words.filter(word => stopwords.includes(word)).length;
+    if (markers && markers.test(text)) score += 2;
+    return { code, score };
+  }).sort((a, b) => b.score - a.score);
+  const [best, second] = scores;
+  if (!best || best.score === 0 || (second && second.score === best.score)) return null;
+  return best.code;
+}
+
+/**
+ * Tracks the language the meeting is currently speaking.
+ * detect(text) returns the utterance's language (the current one if unsure).
+ */
+export function createLanguageTracker({ languages = ['en'] } = {}) {
+  let current = languages[0];
+  const multilingual = languages.length > 1;
+
+  function detect(text) {
+    if (!multilingual) return current;
+    current = detectLanguage(text, languages) || current;
+    return current;
+  }
+
+  return {
+    languages,
+    multilingual,
+    detect,
+    get current() { return current; }
+  };
+}
+
+// Prompt line asking for a reply in `language`
+export function replyLanguageHint(language) {
+  return `The participant you are answering spoke ${languageName(language)}. Reply in ${languageName(language)}.`;
+}
+
+// Standing prompt rule, for models that hear the audio themselves (Realtime bridge)
+export function multilingualRule(languages) {
+  const names = languages.map(languageName);
+  const list = names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+  return `LANGUAGE: Participants speak ${list}. Always reply in the language of the participant you are answering.`;
+}
+
+// Spell out abbreviations TTS would read letter by letter
+export function expandAbbreviations(text, language = 'en') {
+  const rules = LANGUAGES[language]?.abbreviations || [];
+  return rules.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
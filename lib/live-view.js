@@ -0,0 +1,217 @@
+/**
+ * Live View: the session log as it happens, for an operator watching the meeting
+ *
+ * Served by the control server (lib/control-server.js):
+ * - GET /       A minimal page with live captions, bot status and the
+ *               mute / pause / speak / inject / leave controls
+ * - GET /live   Server-sent events, one `record` event per session-log record
+ *               (same shape as the JSONL file), replaying the last
+ *               LIVE_BACKLOG records on connect
+ *
+ * Utterances carry `final: true`. While someone is still talking, STT
+ * providers that support it send partial transcripts, which are streamed as
+ * `{ type: 'utterance', final: false, text, ts }` and never logged.
+ *
+ *   LIVE_BACKLOG   Records replayed to a new /live client (default 200)
+ *
+ * Records arrive already redacted (REDACT, see lib/redact.js); partials are
+ * passed through `redact` here.
+ */
+
+export function getLiveViewConfig(env = process.env) {
+  return { backlog: parseInt(env.LIVE_BACKLOG || '200') };
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.sessionLog  Emits 'record' for every entry (lib/session-log.js)
+ * @param {number} [options.backlog]
+ * @param {Function} [options.redact]  text → text, for partial transcripts
+ */
+export function createLiveFeed({ sessionLog, backlog = 200, redact = (text) => text }) {
+  const recent = [];
+  const clients = new Set();
+
+  function send(record) {
+    for (const client of clients) writeRecord(client, record);
+  }
+
+  sessionLog.on('record', (entry) => {
+    const record = entry.type === 'utterance' ? { ...entry, final: true } : entry;
+    recent.push(record);
+    if (recent.length > backlog) recent.shift();
+    send(record);
+  });
+
+  // Transcript so far of the utterance in progress
+  function partial(text) {
+    if (!text || !text.trim()) return;
+    send({ type: 'utterance', final: false, text: redact(text), ts: new Date().toISOString() });
+  }
+
+  // Attach an SSE response; returns a function that detaches it
+  function subscribe(res) {
+    for (const record of recent) writeRecord(res, record);
+    clients.add(res);
+    return () => clients.delete(res);
+  }
+
+  return { partial, subscribe, page: () => LIVE_PAGE };
+}
+
+function writeRecord(res, record) {
+  res.write(`event: record\ndata: ${JSON.stringify(record)}\n\n`);
+}
+
+const LIVE_PAGE = `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Meeting bot</title>
+<style>
+  body { font: 15px/1.4 system-ui, sans-serif; margin: 0; display: flex; flex-direction: column; height: 100vh; }
+  header { padding: 8px 12px; background: #222; color: #eee; display: flex; gap: 8px; align-items: center; flex-wrap: wrap; }
+  header .badge { padding: 2px 8px; border-radius: 4px; background: #444; }
+  header .on { background: #b33; }
+  #captions { flex: 1; overflow-y: auto; padding: 12px; }
+  #captions p { margin: 4px 0; }
+  .bot { color: #1a5fb4; }
+  .partial { color: #888; font-style: italic; }
+  .meta { color: #777; font-size: 13px; }
+  form { display: flex; gap: 6px; padding: 8px 12px; border-top: 1px solid #ddd; }
+  form input { flex: 1; }
+</style>
+</head>
+<body>
+<header>
+  <strong id="session">…</strong>
+  <span id="connection" class="badge">connecting</span>
+  <span id="muted" class="badge">muted</span>
+  <span id="paused" class="badge">paused</span>
+  <span id="speaking" class="badge">speaking</span>
+  <button data-command="mute">Mute</button>
+  <button data-command="unmute">Unmute</button>
+  <button data-command="pause">Pause</button>
+  <button data-command="resume">Resume</button>
+  <button data-command="leave">Leave</button>
+</header>
+<div id="captions"></div>
+<form data-command="speak"><input name="text" placeholder="Say in the meeting…"><button>Speak</button></form>
+<form data-command="inject"><input name="text" placeholder="Tell the bot (system message)…"><button>Inject</button></form>
+<script>
+const captions = document.getElementById('captions');
+let partialLine = null;
+
+function line(className, text) {
+  const p = document.createElement('p');
+  p.className = className;
+  p.textContent = text;
+  const atBottom = captions.scrollHeight - captions.scrollTop - captions.clientHeight < 40;
+  captions.insertBefore(p, partialLine);
+  if (atBottom) captions.scrollTop = captions.scrollHeight;
+  return p;
+}
+
+function showState(state) {
+  document.getElementById('session').textContent = state.sessionId;
+  for (const [id, on] of [['muted', state.isMuted], ['paused', state.isPaused], ['speaking', state.isProcessingResponse]]) {
+    document.getElementById(id).classList.toggle('on', Boolean(on));
+  }
+}
+
+function clearPartial() {
+  if (partialLine) partialLine.remove();
+  partialLine = null;
+}
+
+function show(record) {
+  const time = new Date(record.ts).toLocaleTimeString();
+  switch (record.type) {
+    case 'utterance':
+      if (!record.final) {
+        if (!partialLine) partialLine = captions.appendChild(document.createElement('p'));
+        partialLine.className = 'partial';
+        partialLine.textContent = record.text;
+        captions.scrollTop = captions.scrollHeight;
+        return;
+      }
+      clearPartial();
+      line('', time + '  ' + record.text);
+      break;
+    case 'echo':
+      clearPartial();
+      break;
+    case 'reply':
+      line('bot', time + '  🗣️ ' + record.text);
+      break;
+    case 'interrupted':
+      line('meta', '✋ interrupted');
+      break;
+    case 'tool_call':
+      line('meta', '🔧 ' + record.name + ' ' + JSON.stringify(record.arguments));
+      break;
+    case 'task':
+      line('meta', '📌 ' + record.kind + ': ' + (record.text || record.description || ''));
+      break;
+    case 'state':
+      line('meta', (record.muted ? '🔇 muted' : '🔊 unmuted') + ', ' + (record.paused ? '⏸️ paused' : '▶️ listening') + ' (' + record.source + ')');
+      break;
+    case 'system_message':
+      line('meta', '💉 ' + record.text);
+      break;
+    case 'error':
+      line('meta', '⚠️ ' + record.source + ': ' + record.message);
+      break;
+    case 'session_end':
+      line('meta', '⏹️ session ended (' + record.reason + ')');
+      break;
+  }
+}
+
+// With CONTROL_TOKEN set, the page is opened as /?token=...; pass it on
+const token = new URLSearchParams(location.search).get('token');
+const authHeaders = token ? { 'Authorization': 'Bearer ' + token } : {};
+const events = new EventSource(token ? 'live?token=' + encodeURIComponent(token) : 'live');
+events.addEventListener('record', (e) => show(JSON.parse(e.data)));
+events.onopen = () => document.getElementById('connection').textContent = 'live';
+events.onerror = () => document.getElementById('connection').textContent = 'disconnected';
+
+async function refresh() {
+  try {
+    showState(await (await fetch('state', { headers: authHeaders })).json());
+  } catch (err) {
+    // Bridge gone; the connection badge already says so
+  }
+}
+setInterval(refresh, 1000);
+refresh();
+
+async function run(command, body) {
+  const res = await fetch(command, {
+    method: 'POST',
+    headers: { ...authHeaders, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {})
+  });
+  const result = await res.json();
+  if (!result.ok) alert(result.error);
+  else showState(result.state);
+}
+
+document.querySelectorAll('button[data-command]').forEach((button) => {
+  button.onclick = () => {
+    if (button.dataset.command === 'leave' && !confirm('Leave the meeting?')) return;
+    run(button.dataset.command);
+  };
+});
+document.querySelectorAll('form[data-command]').forEach((form) => {
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    if (!form.text.value.trim()) return;
+    run(form.dataset.command, { text: form.text.value });
+    form.text.value = '';
+  };
+});
+</script>
+</body>
+</html>
+`;
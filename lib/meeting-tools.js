@@ -0,0 +1,358 @@
+/**
+ * Meeting Tools: function-calling tools and the code that runs them
+ *
+ * Descriptions are persona templates ({{name}} etc., see lib/persona.js), so
+ * the model is told the name participants actually use.
+ *
+ * Both bridges run tool calls through createToolRunner(); each turns the
+ * result into its own kind of follow-up (chat history + TTS for the hybrid
+ * bridge, function_call_output + response.create for the Realtime one):
+ *
+ *   { output, note?, say?, reply?, after? }
+ *
+ * - output  JSON-able result for the model
+ * - note    short marker for chat history, e.g. "[Noted: ...]"
+ * - say     canned phrase to speak (skipped while muted)
+ * - reply   the model should answer from `output` (search results)
+ * - after   run once `say` has been spoken (leaving the meeting)
+ */
+
+import { renderTemplate } from './persona.js';
+import { AGENDA_ACTIONS } from './agenda.js';
+
+// NOTE: These are deliberately strict. AI should prefer speech over tools.
+const MEETING_TOOL_TEMPLATES = [
+  {
+    type: "function",
+    function: {
+      name: "leave_meeting",
+      description: "Leave the meeting, stop recording, and end the session. ONLY call this if someone EXPLICITLY says '{{name}}, leave the meeting' or '{{name}}, leave the call'. DO NOT call for casual farewells like 'bye', 'see ya', 'goodbye', 'thank you', etc."
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "mute_self",
+      description: "Mute the AI's microphone so it stops speaking. ONLY call this if someone EXPLICITLY says '{{name}}, mute yourself'. DO NOT call for phrases like 'thanks', 'that's all', silence, etc."
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "unmute_self",
+      description: "Unmute the AI's microphone to resume speaking. ONLY call this if you are currently muted AND someone EXPLICITLY asks you to unmute or speak again. DO NOT call if already unmuted."
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "pause_listening",
+      description: "Temporarily stop listening to the meeting. ONLY call this if someone EXPLICITLY says '{{name}}, stop listening' or 'give us privacy'."
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "resume_listening",
+      description: "Resume listening after being paused. ONLY call this if someone EXPLICITLY says '{{name}}, start listening again' while paused."
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "web_search",
+      description: "Search the web for current information. Use when someone asks '{{name}}, look up X', '{{name}}, search for Y', or asks about facts, data, or topics that may have changed since your training cutoff.",
+      parameters: {
+        type: "object",
+        properties: {
+          query: {
+            type: "string",
+            description: "The search query to look up"
+          },
+          count: {
+            type: "integer",
+            description: "Number of results to return (1-5, default 3)"
+          }
+        },
+        required: ["query"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "record_note",
+      description: "Save a note for the meeting record. Call when someone asks {{name}} to note, remember or jot something down.",
+      parameters: {
+        type: "object",
+        properties: {
+          text: {
+            type: "string",
+            description: "The point to note, as a short standalone sentence"
+          }
+        },
+        required: ["text"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "add_action_item",
+      description: "Add an action item (a task for a person) to the meeting record. Call when someone asks {{name}} to add an action item, a to-do, or to remind someone to do something.",
+      parameters: {
+        type: "object",
+        properties: {
+          text: {
+            type: "string",
+            description: "What needs to be done"
+          },
+          assignee: {
+            type: "string",
+            description: "Who owns it, if said (name as spoken, or 'speaker')"
+          },
+          due_date: {
+            type: "string",
+            description: "When it is due, if said (as spoken, e.g. 'Friday' or 'March 15th')"
+          }
+        },
+        required: ["text"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "defer_task",
+      description: "Record a task {{name}} will do after the call: scheduling a meeting, sending an email, or setting a reminder. Call whenever you accept such a request.",
+      parameters: {
+        type: "object",
+        properties: {
+          type: {
+            type: "string",
+            enum: ["schedule", "email", "reminder"],
+            description: "schedule = meeting or calendar event, email = message to send, reminder = reminder to set"
+          },
+          description: {
+            type: "string",
+            description: "What was asked for, in one sentence"
+          },
+          when: {
+            type: "string",
+            description: "Date/time as spoken (e.g. 'next Tuesday at 10am'), for schedule and reminder"
+          },
+          attendees: {
+            type: "array",
+            items: { type: "string" },
+            description: "People to invite (schedule)"
+          },
+          recipients: {
+            type: "array",
+            items: { type: "string" },
+            description: "People to email (email)"
+          },
+          subject: {
+            type: "string",
+            description: "Meeting title or email subject"
+          },
+          duration_minutes: {
+            type: "integer",
+            description: "Meeting length in minutes, if said (schedule)"
+          }
+        },
+        required: ["type", "description"]
+      }
+    }
+  }
+];
+
+// Only offered when an agenda is loaded (AGENDA_FILE, see lib/agenda.js)
+const AGENDA_TOOL_TEMPLATE = {
+  type: "function",
+  function: {
+    name: "update_agenda",
+    description: "Check or change the meeting agenda. Call with action 'status' when asked what's next or how the agenda is going, 'next' when asked to move on to the next item, 'go_to' to jump to an item, 'move' to reorder one. ONLY change the agenda when someone EXPLICITLY asks {{name}} to.",
+    parameters: {
+      type: "object",
+      properties: {
+        action: {
+          type: "string",
+          enum: AGENDA_ACTIONS,
+          description: "status = report the agenda, next = move on, go_to = switch to `item`, move = put `item` at `position`"
+        },
+        item: {
+          type: "string",
+          description: "Agenda item title or number (go_to, move)"
+        },
+        position: {
+          type: "integer",
+          description: "New 1-based position in the agenda (move)"
+        }
+      },
+      required: ["action"]
+    }
+  }
+};
+
+// Tool definitions in OpenAI chat-completions format, rendered for `persona`
+export function buildMeetingTools(persona, { agenda = false } = {}) {
+  const templates = agenda ? [...MEETING_TOOL_TEMPLATES, AGENDA_TOOL_TEMPLATE] : MEETING_TOOL_TEMPLATES;
+  return templates.map(tool => renderDescriptions(tool, persona));
+}
+
+// Render every "description" string, however deeply nested (parameters included)
+function renderDescriptions(value, persona) {
+  if (Array.isArray(value)) return value.map(item => renderDescriptions(item, persona));
+  if (!value || typeof value !== 'object') return value;
+  const rendered = {};
+  for (const [key, child] of Object.entries(value)) {
+    rendered[key] = key === 'description' && typeof child === 'string'
+      ? renderTemplate(child, persona)
+      : renderDescriptions(child, persona);
+  }
+  return rendered;
+}
+
+// Realtime API session format: the same tools without the "function" wrapper
+export function toRealtimeTools(tools) {
+  return tools.map(({ function: fn }) => ({ type: 'function', ...fn }));
+}
+
+export const SEARCH_ANSWER_RULES = 'RULES: Answer ONLY what was asked. For places/venues, list 2-3 options with name and address only. Example format: "There\'s [Name] at [Address], [Name] at [Address], and [Name] at [Address]." No explanations, no suggestions, no filler. One sentence.';
+
+/**
+ * @param {object} options
+ * @param {object} options.persona     Phrases for acknowledgements (lib/persona.js)
+ * @param {object} options.sessionLog
+ * @param {object} options.taskStore   Notes, action items, deferred tasks (lib/task-store.js)
+ * @param {object} options.controls    { leave(source), setMuted(muted, source), setPaused(paused, source) }
+ * @param {Function} [options.search]  async (query, count) => results; omit when search isn't configured.
+ *                                     An error with code BUDGET_EXCEEDED is answered with searchBudget.
+ * @param {object} [options.agenda]    Facilitator agenda (lib/agenda.js), when one is loaded
+ * @param {Function} [options.redact]  text → text, applied to search queries before they leave the host
+ *                                     and to console output (lib/redact.js)
+ */
+export function createToolRunner({ persona, sessionLog, taskStore, controls, search = null, agenda = null, redact = (text) => text }) {
+  // `spokenReply`: the model also said something, so tools that only record
+  // something don't need their own spoken acknowledgement
+  async function run(name, rawArguments, { utteranceId = null, spokenReply = false } = {}) {
+    console.log(`🔧 Tool call: ${name}`);
+    let args = {};
+    try {
+      args = rawArguments ? JSON.parse(rawArguments) : {};
+    } catch (err) {
+      console.log(`⚠️ Could not parse arguments for ${name}`);
+    }
+    sessionLog.record('tool_call', { name, arguments: args, inReplyTo: utteranceId });
+
+    switch (name) {
+      case 'leave_meeting':
+        // Acknowledge before signaling
+        return { output: { status: 'leaving' }, say: persona.phrase('signOff'), after: () => controls.leave('voice') };
+
+      case 'mute_self':
+        return { output: { muted: true, changed: controls.setMuted(true, 'voice') } };
+
+      case 'unmute_self':
+        // No spoken response here — prevents interrupting the conversation
+        return { output: { muted: false, changed: controls.setMuted(false, 'voice') } };
+
+      case 'pause_listening':
+        controls.setPaused(true, 'voice');
+        return { output: { paused: true }, say: persona.phrase('pauseAck') };
+
+      case 'resume_listening':
+        controls.setPaused(false, 'voice');
+        return { output: { paused: false }, say: persona.phrase('resumeAck') };
+
+      case 'web_search':
+        return webSearch(args);
+
+      case 'record_note':
+      case 'add_action_item':
+      case 'defer_task':
+        return saveTask(name, args, { utteranceId, spokenReply });
+
+      case 'update_agenda':
+        return updateAgenda(args, { spokenReply });
+
+      default:
+        console.log(`⚠️ Unknown tool: ${name}`);
+        return { output: { error: `Unknown tool ${name}` } };
+    }
+  }
+
+  async function webSearch({ query: rawQuery, count: rawCount }) {
+    const query = redact(rawQuery);
+    // The model's count is a hint: 1-5 results, 3 when it is missing or not a number
+    const count = Number.isFinite(rawCount) ? Math.min(5, Math.max(1, Math.round(rawCount))) : 3;
+    if (!query) {
+      console.log('⚠️ web_search called without query');
+      return { output: { error: 'query is required' } };
+    }
+    if (!search) {
+      console.log('⚠️ EXA_API_KEY not set');
+      return { output: { error: 'Web search is not configured' }, say: persona.phrase('searchUnavailable') };
+    }
+    try {
+      console.log(`🔍 Searching Exa for: "${query}"`);
+      const results = await search(query, count);
+      sessionLog.record('search_results', { query, results: results || [] });
+      if (!results || results.length === 0) {
+        return { output: { query, results: [] }, say: persona.phrase('searchNoResults') };
+      }
+      console.log(`📄 Got ${results.length} results`);
+      return {
+        output: { query, results, instructions: SEARCH_ANSWER_RULES },
+        note: `[Searched for "${query}"]`,
+        reply: true
+      };
+    } catch (err) {
+      console.error('❌ Search error:', err.message);
+      sessionLog.record('error', { source: 'web_search', message: err.message });
+      // Search cap used up (see lib/budget.js)
+      const phrase = err.code === 'BUDGET_EXCEEDED' ? 'searchBudget' : 'searchFailed';
+      return { output: { error: err.message }, say: persona.phrase(phrase) };
+    }
+  }
+
+  function saveTask(name, args, { utteranceId, spokenReply }) {
+    const meta = { utteranceId, source: 'voice' };
+    let item, note, ack;
+    try {
+      if (name === 'record_note') {
+        item = taskStore.addNote(args, meta);
+        note = `[Noted: ${item.text}]`;
+        ack = persona.phrase('noteAck', { text: item.text });
+      } else if (name === 'add_action_item') {
+        item = taskStore.addActionItem(args, meta);
+        note = `[Action item: ${item.text}${item.assignee ? ` (${item.assignee})` : ''}${item.due ? `, due ${item.due}` : ''}]`;
+        ack = persona.phrase('actionItemAck', { text: item.text });
+      } else {
+        item = taskStore.deferTask(args, meta);
+        note = `[Deferred ${item.type} task: ${item.description}]`;
+        ack = persona.phrase('deferAck', { description: item.description });
+      }
+    } catch (err) {
+      console.log(`⚠️ ${name} rejected: ${err.message}`);
+      sessionLog.record('error', { source: name, message: err.message });
+      return { output: { error: err.message } };
+    }
+    console.log(`📌 ${redact(note.slice(1, -1))} (${item.id})`);
+    return { output: { saved: item.id }, note, say: spokenReply ? null : ack };
+  }
+
+  function updateAgenda(args, { spokenReply }) {
+    if (!agenda) return { output: { error: 'No agenda is loaded' } };
+    try {
+      const { status, say } = agenda.update(args, 'voice');
+      return { output: status, note: `[Agenda: ${say}]`, say: spokenReply ? null : say };
+    } catch (err) {
+      console.log(`⚠️ update_agenda rejected: ${err.message}`);
+      sessionLog.record('error', { source: 'update_agenda', message: err.message });
+      return { output: { error: err.message } };
+    }
+  }
+
+  return { run };
+}
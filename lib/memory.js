@@ -0,0 +1,200 @@
+/**
+ * Meeting Memory: long-term context for the hybrid bridge
+ *
+ * The model sees the most recent turns verbatim, up to MEMORY_RECENT_TOKENS.
+ * Older turns are condensed in the background into a running summary plus
+ * pinned facts (decisions, names, numbers, dates) the condenser keeps word
+ * for word. Notes, action items and deferred tasks from the task store are
+ * always pinned as recorded. All of it reaches the model as one system
+ * message, kept within MEMORY_SUMMARY_TOKENS.
+ *
+ *   MEETING_MEMORY         on (default) | off (only the last 20 messages, no summary)
+ *   MEMORY_RECENT_TOKENS   Verbatim history kept (default 2000)
+ *   MEMORY_SUMMARY_TOKENS  Budget for the summary and pinned facts (default 800)
+ *
+ * Tokens are estimated at ~4 characters each. Turns moved out of the recent
+ * history stay in the memory message verbatim until a condensation has taken
+ * them in, so nothing drops out in between. Each condensation is logged as a
+ * `memory` record.
+ */
+
+const CHARS_PER_TOKEN = 4;
+const LEGACY_MESSAGES = 20;
+const MAX_PINNED = 30;
+// Evict down to this share of MEMORY_RECENT_TOKENS, so condensation runs in batches
+const EVICT_TO = 0.75;
+
+export const estimateTokens = (text) => Math.ceil((text || '').length / CHARS_PER_TOKEN);
+
+const tokensOf = (messages) => messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+
+export function getMemoryConfig(env = process.env) {
+  const mode = env.MEETING_MEMORY || 'on';
+  if (!['on', 'off'].includes(mode)) {
+    throw new Error(`Unknown MEETING_MEMORY "${mode}" (use on or off)`);
+  }
+  return {
+    enabled: mode === 'on',
+    recentTokens: parseInt(env.MEMORY_RECENT_TOKENS || '2000'),
+    summaryTokens: parseInt(env.MEMORY_SUMMARY_TOKENS || '800')
+  };
+}
+
+function buildPrompt(agentName, summaryWords) {
+  return `You keep the running memory of a voice meeting. An AI assistant named ${agentName} takes part in it.
+You get the memory so far and the next part of the transcript, and return the updated memory as a JSON object with exactly these keys:
+- "summary": what has happened in the meeting so far, covering both the old memory and the new transcript, in at most ${summaryWords} words. When space runs short, shorten the oldest parts first.
+- "pinned": array of short standalone facts that must be remembered exactly: decisions, names and roles of people, numbers, dates and deadlines, commitments. Keep earlier pinned facts unless they were changed or reversed. At most ${MAX_PINNED}.`;
+}
+
+function speaker(role, agentName) {
+  if (role === 'user') return 'Participant';
+  if (role === 'assistant') return agentName;
+  return 'Context';
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.llm            LLM provider used for condensing
+ * @param {object} options.sessionLog
+ * @param {object} [options.taskStore]    Its items are always pinned (lib/task-store.js)
+ * @param {Function} [options.canCondense]  false to hold off (e.g. budget used up); turns wait verbatim
+ */
+export function createMeetingMemory({
+  enabled = true,
+  recentTokens = 2000,
+  summaryTokens = 800,
+  llm,
+  sessionLog,
+  taskStore = null,
+  agentName = 'Claw',
+  canCondense = () => true
+}) {
+  let summary = '';
+  let pinned = [];
+  let pending = [];       // moved out of the recent history, not condensed yet
+  let condensing = null;
+
+  const render = (messages) => messages.map(m => `${speaker(m.role, agentName)}: ${m.content}`).join('\n');
+
+  // Trim `history` in place; what is cut goes to the next condensation
+  function trim(history) {
+    if (!enabled) {
+      if (history.length > LEGACY_MESSAGES) history.splice(0, history.length - LEGACY_MESSAGES);
+      return;
+    }
+    let total = tokensOf(history);
+    if (total <= recentTokens) return;
+    let count = 0;
+    while (count < history.length - 1 && total > recentTokens * EVICT_TO) {
+      total -= estimateTokens(history[count].content);
+      count++;
+    }
+    pending.push(...history.splice(0, count));
+    // If condensing keeps failing or is held off, the oldest turns are finally dropped
+    while (pending.length > 1 && tokensOf(pending) > recentTokens) pending.shift();
+    condense();
+  }
+
+  function condense() {
+    if (condensing || pending.length === 0 || !canCondense()) return;
+    const batch = pending.slice();
+    const previous = [
+      `Summary: ${summary || '(none yet)'}`,
+      `Pinned:\n${pinned.map(fact => `- ${fact}`).join('\n') || '(none yet)'}`
+    ].join('\n');
+    condensing = llm.complete({
+      messages: [
+        { role: 'system', content: buildPrompt(agentName, Math.round(summaryTokens * 0.75 / 2)) },
+        { role: 'user', content: `MEMORY SO FAR:\n${previous}\n\nTRANSCRIPT:\n${render(batch)}` }
+      ],
+      maxTokens: summaryTokens,
+      temperature: 0.2,
+      responseFormat: 'json'
+    })
+      .then((result) => {
+        let parsed;
+        try {
+          parsed = JSON.parse(result.content || '{}');
+        } catch (e) {
+          throw new Error('Memory model did not return valid JSON');
+        }
+        if (typeof parsed.summary === 'string' && parsed.summary.trim()) summary = parsed.summary.trim();
+        if (Array.isArray(parsed.pinned)) {
+          pinned = parsed.pinned
+            .filter(fact => typeof fact === 'string' && fact.trim())
+            .map(fact => fact.trim())
+            .slice(-MAX_PINNED);
+        }
+        fitBudget();
+        // Turns evicted meanwhile stay pending for the next round
+        pending = pending.filter(m => !batch.includes(m));
+        console.log(`🧠 Condensed ${batch.length} older messages into meeting memory`);
+        sessionLog.record('memory', { condensed: batch.length, summary, pinned, tokens: estimateTokens(message()?.content) });
+        return true;
+      })
+      .catch((err) => {
+        console.error('⚠️ Meeting memory error:', err.message);
+        sessionLog.record('error', { source: 'memory', message: err.message });
+        return false;
+      })
+      .then((ok) => {
+        condensing = null;
+        // More was evicted while this one ran
+        if (ok && tokensOf(pending) > recentTokens * (1 - EVICT_TO)) condense();
+      });
+  }
+
+  // Stored pinned facts are capped at half the budget, oldest dropped first
+  function fitBudget() {
+    while (pinned.length > 0 && estimateTokens(pinned.join('\n')) > summaryTokens / 2) pinned.shift();
+  }
+
+  // Keep the newest lines that fit in `tokens`
+  function newest(lines, tokens) {
+    const kept = [...lines];
+    while (kept.length > 0 && estimateTokens(kept.join('\n')) > tokens) kept.shift();
+    return kept;
+  }
+
+  // Recorded notes and tasks, as pinned facts
+  function taskFacts() {
+    if (!taskStore) return [];
+    const data = taskStore.toJSON();
+    return [
+      ...data.notes.map(n => `Note: ${n.text}`),
+      ...data.action_items.map(a => `Action item: ${a.text}${a.assignee ? ` (${a.assignee})` : ''}${a.due ? `, due ${a.due}` : ''}`),
+      ...data.deferred_tasks.map(d => `Deferred ${d.type} task: ${d.description}`)
+    ];
+  }
+
+  // System message for the prompt, or null while there is nothing to remember.
+  // Within MEMORY_SUMMARY_TOKENS: recorded items first, then pinned facts (half
+  // the budget between them), then the summary; turns not condensed yet come on top.
+  function message() {
+    if (!enabled) return null;
+    const recorded = taskFacts();
+    const tasks = newest(recorded, summaryTokens / 2);
+    const facts = [...newest(pinned, summaryTokens / 2 - estimateTokens(tasks.join('\n'))), ...tasks];
+    if (tasks.length < recorded.length) facts.unshift(`(${recorded.length - tasks.length} earlier notes and tasks not shown)`);
+    const maxChars = (summaryTokens - estimateTokens(facts.join('\n'))) * CHARS_PER_TOKEN;
+    const shownSummary = summary.length > maxChars ? `${summary.slice(0, maxChars - 1).replace(/\s+\S*$/, '')}…` : summary;
+
+    const parts = [];
+    if (shownSummary) parts.push(`Summary so far: ${shownSummary}`);
+    if (facts.length > 0) parts.push(`Pinned facts:\n${facts.map(fact => `- ${fact}`).join('\n')}`);
+    if (pending.length > 0) parts.push(`Not summarized yet:\n${render(pending)}`);
+    if (parts.length === 0) return null;
+    return {
+      role: 'system',
+      content: `MEETING MEMORY (earlier in this meeting, before the conversation below):\n\n${parts.join('\n\n')}`
+    };
+  }
+
+  // For GET /memory
+  function toJSON() {
+    return { enabled, summary, pinned, pendingMessages: pending.length, condensing: Boolean(condensing) };
+  }
+
+  return { trim, message, toJSON };
+}
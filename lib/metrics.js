@@ -0,0 +1,210 @@
+/**
+ * Metrics: per-turn latency and usage counters for the hybrid bridge
+ *
+ * Each turn is timed from the participant's speech_stopped through
+ * transcription, the completion, the first TTS audio and the end of
+ * playback. Tokens, TTS characters, searches and STT audio are counted so a
+ * session's cost can be worked out afterwards.
+ *
+ * render() produces Prometheus text exposition format (served on the
+ * control API at GET /metrics); snapshot() is the same data as JSON for the
+ * session log.
+ */
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 3, 5, 10];
+
+function labelKey(labels) {
+  return Object.entries(labels)
+    .map(([key, value]) => `${key}="${String(value).replace(/["\\\n]/g, (c) => (c === '\n' ? '\\n' : `\\${c}`))}"`)
+    .join(',');
+}
+
+export function createRegistry({ prefix = 'meeting_', constLabels = {} } = {}) {
+  const metrics = [];
+
+  function counter(name, help) {
+    const series = new Map();  // labelKey → value
+    metrics.push({ name: prefix + name, help, type: 'counter', series });
+    return {
+      inc(value = 1, labels = {}) {
+        const key = labelKey({ ...constLabels, ...labels });
+        series.set(key, (series.get(key) || 0) + value);
+      }
+    };
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map();  // labelKey → { counts, sum, count }
+    metrics.push({ name: prefix + name, help, type: 'histogram', series, buckets });
+    return {
+      observe(value, labels = {}) {
+        const key = labelKey({ ...constLabels, ...labels });
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  }
+
+  function render() {
+    const lines = [];
+    const sample = (name, key, value) => lines.push(`${name}${key ? `{${key}}` : ''} ${value}`);
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+      for (const [key, value] of metric.series) {
+        if (metric.type === 'counter') {
+          sample(metric.name, key, value);
+          continue;
+        }
+        const sep = key ? ',' : '';
+        metric.buckets.forEach((bound, i) => sample(`${metric.name}_bucket`, `${key}${sep}le="${bound}"`, value.counts[i]));
+        sample(`${metric.name}_bucket`, `${key}${sep}le="+Inf"`, value.count);
+        sample(`${metric.name}_sum`, key, value.sum);
+        sample(`${metric.name}_count`, key, value.count);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  // { name{labels}: value } for counters, { name{labels}: { count, sum } } for histograms
+  function snapshot() {
+    const result = {};
+    const constKey = labelKey(constLabels);
+    for (const metric of metrics) {
+      for (const [key, value] of metric.series) {
+        // Constant labels are the same on every series; leave them out
+        const own = key.replace(constKey, '').replace(/^,|,$/g, '');
+        const name = (own ? `${metric.name}{${own}}` : metric.name).slice(prefix.length);
+        result[name] = metric.type === 'counter'
+          ? round(value)
+          : { count: value.count, sum: round(value.sum) };
+      }
+    }
+    return result;
+  }
+
+  return { counter, histogram, render, snapshot };
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+export function createMeetingMetrics({ sessionId }) {
+  const registry = createRegistry({ constLabels: { session_id: sessionId } });
+
+  const m = {
+    turns: registry.counter('turns_total', 'Turns answered by the model'),
+    llmRequests: registry.counter('llm_requests_total', 'Chat completion requests'),
+    llmErrors: registry.counter('llm_errors_total', 'Failed chat completion requests'),
+    promptTokens: registry.counter('llm_prompt_tokens_total', 'Prompt tokens reported by the LLM provider'),
+    completionTokens: registry.counter('llm_completion_tokens_total', 'Completion tokens reported by the LLM provider'),
+    ttsRequests: registry.counter('tts_requests_total', 'TTS requests'),
+    ttsCharacters: registry.counter('tts_characters_total', 'Characters sent to TTS'),
+    searches: registry.counter('search_requests_total', 'Web searches'),
+    sttAudioSeconds: registry.counter('stt_audio_seconds_total', 'Seconds of meeting audio sent to STT'),
+    stageSeconds: registry.histogram('turn_stage_seconds', 'Per-stage turn latency'),
+    responseSeconds: registry.histogram('turn_response_seconds', 'End of participant speech to first reply audio')
+  };
+
+  function countUsage(usage) {
+    if (!usage) return;
+    m.promptTokens.inc(usage.promptTokens || 0);
+    m.completionTokens.inc(usage.completionTokens || 0);
+  }
+
+  // Wrap an LLM provider so every request (turns, searches, summaries) is counted
+  function instrumentLLM(llm) {
+    const wrapped = {
+      ...llm,
+      async complete(options) {
+        m.llmRequests.inc();
+        try {
+          const result = await llm.complete(options);
+          countUsage(result.usage);
+          return result;
+        } catch (err) {
+          m.llmErrors.inc();
+          throw err;
+        }
+      }
+    };
+    if (typeof llm.stream === 'function') {
+      wrapped.stream = async function* (options) {
+        m.llmRequests.inc();
+        try {
+          for await (const event of llm.stream(options)) {
+            if (event.type === 'done') countUsage(event.usage);
+            yield event;
+          }
+        } catch (err) {
+          m.llmErrors.inc();
+          throw err;
+        }
+      };
+    }
+    return wrapped;
+  }
+
+  function instrumentTTS(tts) {
+    return {
+      ...tts,
+      synthesize(text, options) {
+        m.ttsRequests.inc();
+        m.ttsCharacters.inc(text.length);
+        return tts.synthesize(text, options);
+      }
+    };
+  }
+
+  /**
+   * Time one turn. Marks: llmStart, llmFirstToken, completion, ttsRequest,
+   * firstAudio (first call wins) and playbackEnd (last call wins, so a turn
+   * with several playbacks ends with the last one). finish() observes the
+   * stage histograms and returns the fields for a turn_metrics record.
+   */
+  function startTurn({ utteranceId, speechStoppedAt = null, transcribedAt = null }) {
+    const marks = {};
+
+    function mark(name) {
+      if (name === 'playbackEnd' || !(name in marks)) marks[name] = Date.now();
+    }
+
+    const between = (from, to) => (from != null && to != null ? to - from : null);
+
+    function finish() {
+      const stages = {
+        transcription: between(speechStoppedAt, transcribedAt),
+        queue: between(transcribedAt, marks.llmStart),
+        llm_first_token: between(marks.llmStart, marks.llmFirstToken),
+        llm: between(marks.llmStart, marks.completion),
+        tts_first_byte: between(marks.ttsRequest, marks.firstAudio),
+        playback: between(marks.firstAudio, marks.playbackEnd)
+      };
+      const responseMs = between(speechStoppedAt ?? transcribedAt, marks.firstAudio);
+
+      m.turns.inc();
+      for (const [stage, ms] of Object.entries(stages)) {
+        if (ms != null) m.stageSeconds.observe(ms / 1000, { stage });
+      }
+      if (responseMs != null) m.responseSeconds.observe(responseMs / 1000);
+
+      const stagesMs = Object.fromEntries(Object.entries(stages).filter(([, ms]) => ms != null));
+      return { utteranceId, stagesMs, responseMs, spoke: 'firstAudio' in marks };
+    }
+
+    return { mark, finish };
+  }
+
+  return {
+    ...m,
+    instrumentLLM,
+    instrumentTTS,
+    startTurn,
+    render: registry.render,
+    snapshot: registry.snapshot
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Persona: the agent's name, aliases, style, canned phrases and voice
+ *
+ * Loaded from PERSONA_FILE (JSON, any subset of the fields below), then
+ * overridden by AGENT_NAME, AGENT_ALIASES (comma-separated) and
+ * AGENT_VOICE_ID. Several differently named agents can run from the same
+ * checkout by pointing each at its own persona file.
+ *
+ *   {
+ *     "name": "Nova",
+ *     "aliases": ["Nova AI"],
+ *     "style": ["Warm but brief.", "Use plain words, no jargon."],
+ *     "phrases": { "signOff": "Bye all, {{name}} signing off." },
+ *     "voiceId": "<ElevenLabs voice ID>",
+ *     "realtimeVoice": "marin",
+ *     "prompt": "You are {{name}}, ..."
+ *   }
+ *
+ * Prompts, tool descriptions and phrases are templates: {{name}},
+ * {{aliases}} and {{style}} are filled in from the persona. Style notes
+ * describe how to talk, not who the agent is, so keep them pronoun-free.
+ */
+
+import fs from 'fs';
+
+const DEFAULT_NAME = 'Claw';
+// Whisper often hears "Claw" as "Claude"
+const DEFAULT_ALIASES = ['Claude'];
+
+export const DEFAULT_PHRASES = {
+  signOff: 'Okay, signing off!',
+  pauseAck: "I'll stop listening now. Say my name when you want me back.",
+  resumeAck: "I'm listening again. How can I help?",
+  searchUnavailable: "Web search isn't configured.",
+  searchNoResults: "I couldn't find any results for that.",
+  searchFailed: 'Sorry, the search failed.',
+  searchBudget: "I've used up my searches for now.",
+  budgetExhausted: "I've reached my usage limit, so I'll stay quiet and just keep the transcript.",
+  noteAck: 'Noted — {{text}}',
+  actionItemAck: 'Got it — action item: {{text}}',
+  deferAck: "I'll take care of that after the call.",
+  agendaHeadsUp: 'Heads up: {{remaining}} left for {{item}}.',
+  agendaOverTime: "Time check: we're over time on {{item}}. Next up is {{next}}.",
+  agendaOverTimeLast: "Time check: we're over time on {{item}}.",
+  agendaNext: 'First up: {{item}}.',
+  agendaComplete: "That's everything on the agenda."
+};
+
+const DEFAULT_STYLE = [
+  'Be concise and natural (1-2 sentences).'
+];
+
+// Identity and when to speak. SYSTEM_PROMPT (or "prompt" in the persona file) replaces this part.
+const PERSONA_PROMPT_TEMPLATE = `You are {{name}}, an AI assistant in a voice meeting. Stay completely silent unless directly addressed by name.
+
+CORE BEHAVIOR:
+- Do NOT announce your presence or listening state.
+- Do NOT say phrases like "I'm listening" or "note listening passively" or "I will continue to listen".
+- Stay silent during general conversation.
+- Only speak when someone says "{{name}}" followed by a question or request.
+
+WHEN ADDRESSED:
+- Examples: "What do you think {{name}}?", "{{name}}, look up X", "Hey {{name}}, what's your take?"
+{{style}}`;
+
+// Tool and meeting-control rules. Always appended, even with a custom prompt.
+const MEETING_RULES_TEMPLATE = `MEETING RULES:
+- ALWAYS give a spoken response when addressed. Do NOT just call a tool without speaking.
+
+NOTES & ACTION ITEMS:
+- When asked to take a note, remember something, or jot something down: call record_note with the key point,
+  and say "Got it" or "Noted" and repeat it back briefly.
+  Example: User says "{{name}}, note that we agreed on a March 15th deadline." → record_note, and you say: "Noted — March 15th deadline."
+- When asked to add an action item or to-do: call add_action_item (with the assignee and due date if they were said),
+  and acknowledge it clearly.
+  Example: "{{name}}, remind me to send the proposal." → "Got it — action item: send the proposal."
+
+SCHEDULING & FOLLOW-UPS:
+- When asked to schedule a meeting, check availability, send an email, or do anything that requires external tools you don't have:
+  ACCEPT the request confidently, call defer_task with everything that was said (type, when, who), and say you'll handle it after the call.
+  Examples:
+  - "{{name}}, schedule a follow-up for next Tuesday." → "I'll set that up after the call."
+  - "{{name}}, can you check my calendar?" → "I'll check and get back to you after the meeting."
+  - "{{name}}, send the summary." → "I'll send that over once we wrap up."
+  The parent agent (OpenClaw) will pick up the deferred task and execute it.
+- NEVER say "I can't do that" or "I don't have access to that." You CAN — just not live. Defer gracefully.
+
+MEETING CONTROLS (ONLY when EXPLICITLY commanded):
+- leave_meeting: ONLY if someone says "{{name}}, leave the meeting" (NOT on casual "bye"/"thanks").
+- mute_self: ONLY if someone says "{{name}}, mute yourself".
+- unmute_self: ONLY if currently muted AND someone says "{{name}}, unmute". Never call if already unmuted.
+- pause_listening: ONLY if someone says "{{name}}, stop listening" or "{{name}}, give us privacy".
+
+WEB SEARCH:
+- Use web_search when asked to look up, search, find, or when asked factual questions.
+- Answer ONLY what was asked. No extra context, explanations, or unsolicited suggestions.
+- For venue/place searches: list 2-3 specific options with name and address.
+- Be direct and factual. Keep responses SHORT — one to two sentences max.
+- If asked for a recommendation, pick one based on ratings, reviews, or proximity from the search results. Give a brief reason.
+
+NEVER announce what you're doing. Just do it.`;
+
+function stringList(value, field) {
+  if (value === undefined) return undefined;
+  if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+    throw new Error(`Persona "${field}" must be an array of strings`);
+  }
+  return value.map(item => item.trim()).filter(Boolean);
+}
+
+function readPersonaFile(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read persona file ${filePath}: ${err.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Persona file ${filePath} must contain a JSON object`);
+  }
+  if (data.phrases !== undefined && (typeof data.phrases !== 'object' || Array.isArray(data.phrases))) {
+    throw new Error('Persona "phrases" must be an object');
+  }
+  return data;
+}
+
+export function loadPersona(env = process.env) {
+  const file = env.PERSONA_FILE ? readPersonaFile(env.PERSONA_FILE) : {};
+
+  const name = (env.AGENT_NAME || file.name || DEFAULT_NAME).trim();
+  if (!name) throw new Error('Persona name is empty');
+
+  // The default aliases only make sense for the default name
+  const aliases = env.AGENT_ALIASES !== undefined
+    ? env.AGENT_ALIASES.split(',').map(alias => alias.trim()).filter(Boolean)
+    : stringList(file.aliases, 'aliases') ?? (name === DEFAULT_NAME ? DEFAULT_ALIASES : []);
+
+  const persona = {
+    name,
+    aliases,
+    style: stringList(file.style, 'style') ?? DEFAULT_STYLE,
+    phrases: { ...DEFAULT_PHRASES, ...file.phrases },
+    voiceId: env.AGENT_VOICE_ID || file.voiceId || null,
+    realtimeVoice: file.realtimeVoice || 'marin',
+    prompt: typeof file.prompt === 'string' ? file.prompt : null
+  };
+
+  // Canned phrase with {{name}} and any extra fields filled in
+  persona.phrase = (key, vars = {}) => renderTemplate(persona.phrases[key] ?? '', persona, vars);
+  return persona;
+}
+
+// Fill {{name}}, {{aliases}}, {{style}} and any `vars`; unknown placeholders are left as-is
+export function renderTemplate(template, persona, vars = {}) {
+  const values = {
+    name: persona.name,
+    aliases: persona.aliases.join(', '),
+    style: persona.style.map(note => `- ${note}`).join('\n'),
+    ...vars
+  };
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (Object.hasOwn(values, key) ? String(values[key]) : match));
+}
+
+/**
+ * Identity part of the prompt: `override` (e.g. SYSTEM_PROMPT), the persona
+ * file's "prompt", or the default template, in that order.
+ */
+export function buildPersonaPrompt(persona, { override, template = PERSONA_PROMPT_TEMPLATE } = {}) {
+  return renderTemplate(override || persona.prompt || template, persona).trim();
+}
+
+// Full prompt for bridges with meeting tools: persona part plus the meeting rules
+export function buildSystemPrompt(persona, { override } = {}) {
+  return `${buildPersonaPrompt(persona, { override })}\n\n${renderTemplate(MEETING_RULES_TEMPLATE, persona)}`;
+}
@@ -0,0 +1,101 @@
+/**
+ * Provider registry for the hybrid bridge's three stages
+ *
+ * STT_PROVIDER   openai-realtime (default) | mock
+ * LLM_PROVIDER   openai (default, any OpenAI-compatible endpoint) | mock
+ * TTS_PROVIDER   elevenlabs (default) | openai | command | mock
+ * TTS_FALLBACKS  More TTS providers to try in order when it fails (see tts-chain.js)
+ *
+ * Interfaces:
+ *
+ * STT — an EventEmitter
+ *   start()               Connect / begin recognizing
+ *   sendAudio(chunk)      Feed 16-bit mono PCM at the bridge sample rate
+ *   close()
+ *   events: 'ready', 'speech_started', 'speech_stopped',
+ *           'transcript' ({ text }), 'error' (Error), 'close' (gone for good)
+ *   optional: 'reconnecting' ({ attempt, delayMs, reason }),
+ *             'reconnected' ({ replayedMs, droppedMs }),
+ *             'partial' ({ text })  transcript so far of the utterance in progress
+ *
+ * LLM
+ *   complete({ messages, tools, maxTokens, temperature, responseFormat })
+ *     → Promise<{ content, tool_calls, usage? }>   (tool_calls in OpenAI format;
+       usage is { promptTokens, completionTokens } when the provider reports it)
+ *   responseFormat: 'json' asks for a single JSON object in `content`
+ *   optional: stream({ messages, tools, maxTokens, temperature, signal })
+ *     → async iterable of { type: 'text', text } deltas, then one
+ *       { type: 'done', content, tool_calls, usage? } with tool calls fully assembled
+ *
+ * TTS
+ *   synthesize(text, { signal, language }) → Promise<Readable>
+ *     Stream of 16-bit mono PCM at `tts.sampleRate`. Aborting `signal`
+ *     cancels the request. `language` (e.g. 'es') picks that language's
+ *     voice and model where the provider has them. The stream may carry its
+ *     own `sampleRate` when the provider only learns it from the audio.
+ *     `text` may hold speech hint tags; providers pass it through
+ *     renderSpeechHints() (lib/speech-normalizer.js).
+ *
+ * Factories throw if a provider is misconfigured (e.g. missing API key).
+ */
+
+import { createOpenAIRealtimeSTT } from './stt-openai-realtime.js';
+import { createMockSTT } from './stt-mock.js';
+import { createOpenAILLM } from './llm-openai.js';
+import { createMockLLM } from './llm-mock.js';
+import { createElevenLabsTTS } from './tts-elevenlabs.js';
+import { createOpenAITTS } from './tts-openai.js';
+import { createCommandTTS } from './tts-command.js';
+import { createMockTTS } from './tts-mock.js';
+import { createTTSChain, getTTSChainConfig, ttsChainNames } from './tts-chain.js';
+
+const STT_PROVIDERS = {
+  'openai-realtime': createOpenAIRealtimeSTT,
+  mock: createMockSTT
+};
+
+const LLM_PROVIDERS = {
+  openai: createOpenAILLM,
+  mock: createMockLLM
+};
+
+const TTS_PROVIDERS = {
+  elevenlabs: createElevenLabsTTS,
+  openai: createOpenAITTS,
+  command: createCommandTTS,
+  mock: createMockTTS
+};
+
+function pick(registry, kind, name, options) {
+  const factory = registry[name];
+  if (!factory) {
+    throw new Error(`Unknown ${kind} provider "${name}" (available: ${Object.keys(registry).join(', ')})`);
+  }
+  return factory(options);
+}
+
+// Just the LLM, for tools that don't touch audio (e.g. summarize.js)
+export function createLLM(options) {
+  const { env = process.env } = options;
+  return pick(LLM_PROVIDERS, 'LLM', env.LLM_PROVIDER || 'openai', options);
+}
+
+// TTS_PROVIDER and its TTS_FALLBACKS, as one provider
+function createTTS(options) {
+  const { env = process.env } = options;
+  const { backends, cooldownMs } = getTTSChainConfig(env, ttsChainNames(env));
+  return createTTSChain({
+    backends: backends.map(backend => ({ ...backend, tts: pick(TTS_PROVIDERS, 'TTS', backend.name, options) })),
+    cooldownMs
+  });
+}
+
+// `options` is passed to every factory: { env, sampleRate, agentName, voiceId, voices, models, language }
+export function createProviders(options) {
+  const { env = process.env } = options;
+  return {
+    stt: pick(STT_PROVIDERS, 'STT', env.STT_PROVIDER || 'openai-realtime', options),
+    llm: pick(LLM_PROVIDERS, 'LLM', env.LLM_PROVIDER || 'openai', options),
+    tts: createTTS(options)
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * LLM provider: deterministic rule-based mock (no network)
+ *
+ * Looks at the latest user message and:
+ * - calls the matching meeting-control tool for "leave the meeting",
+ *   "mute yourself", "unmute", "stop listening", "start listening"
+ * - calls web_search for "look up X" / "search for X"
+ * - calls record_note / add_action_item / defer_task for "note that X",
+ *   "remind me to X", "schedule X", "send X"
+ * - calls update_agenda (when offered) for "what's next on the agenda",
+ *   "next item", "go to X on the agenda"
+ * - summarizes search results when the last message carries them
+ * - echoes the question back if the agent is addressed by name
+ * - otherwise stays silent (content: null)
+ *
+ * With responseFormat 'json' it builds a summarizer report by keyword
+ * matching "[u12] Participant: ..." transcript lines, or for the meeting
+ * memory (lib/memory.js) a summary that counts lines and pins decisions.
+ */
+
+const CONTROL_RULES = [
+  [/\bleave the (meeting|call)\b/i, 'leave_meeting'],
+  [/\bunmute\b/i, 'unmute_self'],
+  [/\bmute yourself\b/i, 'mute_self'],
+  [/\bstop listening\b|\bgive us privacy\b/i, 'pause_listening'],
+  [/\bstart listening\b|\blistening again\b/i, 'resume_listening']
+];
+
+const SEARCH_PATTERN = /\b(?:look up|search for|find)\s+(.+?)[.?!]*$/i;
+
+// [pattern, tool, captured text → arguments]
+const TASK_RULES = [
+  [/\bnote(?: that)?\s+(.+?)[.?!]*$/i, 'record_note', (text) => ({ text })],
+  [/\b(?:remind (?:me|us) to|action item:?)\s+(.+?)[.?!]*$/i, 'add_action_item', (text) => ({ text })],
+  [/\b(schedule\s+.+?)[.?!]*$/i, 'defer_task', (description) => ({ type: 'schedule', description })],
+  [/\b(send\s+.+?)[.?!]*$/i, 'defer_task', (description) => ({ type: 'email', description })]
+];
+
+const AGENDA_RULES = [
+  [/\bgo (?:back )?to\s+(.+?)\s+on the agenda\b/i, (item) => ({ action: 'go_to', item })],
+  [/\b(?:next (?:agenda )?item|move on)\b/i, () => ({ action: 'next' })],
+  [/\bagenda\b/i, () => ({ action: 'status' })]
+];
+
+export function createMockLLM({ agentName = 'Claw' }) {
+  const namePattern = new RegExp(`\\b${agentName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
+  let callCount = 0;
+
+  function toolCall(name, args = {}) {
+    return {
+      id: `call_mock_${++callCount}`,
+      type: 'function',
+      function: { name, arguments: JSON.stringify(args) }
+    };
+  }
+
+  // Rough token counts (~4 characters per token) so usage metrics have something to show
+  async function complete(options) {
+    const result = await respond(options);
+    const promptChars = options.messages.reduce((sum, m) => sum + (m.content || '').length, 0);
+    const completionChars = (result.content || '').length + (result.tool_calls ? JSON.stringify(result.tool_calls).length : 0);
+    return { ...result, usage: { promptTokens: Math.ceil(promptChars / 4), completionTokens: Math.ceil(completionChars / 4) } };
+  }
+
+  async function respond({ messages, responseFormat, tools = [] }) {
+    const last = messages[messages.length - 1];
+
+    if (responseFormat === 'json' && messages[0].content.includes('"pinned"')) {
+      return { content: JSON.stringify(mockMemory(last.content)), tool_calls: undefined };
+    }
+    if (responseFormat === 'json') {
+      return { content: JSON.stringify(mockReport(last.content)), tool_calls: undefined };
+    }
+
+    if (last && last.role === 'system' && last.content.startsWith('Search results:')) {
+      const count = last.content.split('\n').filter(line => /^\d+\. /.test(line)).length;
+      return { content: `I found ${count} results.`, tool_calls: undefined };
+    }
+
+    const userMessage = [...messages].reverse().find(m => m.role === 'user');
+    const text = userMessage ? userMessage.content : '';
+    if (!namePattern.test(text)) {
+      return { content: null, tool_calls: undefined };
+    }
+
+    for (const [pattern, name] of CONTROL_RULES) {
+      if (pattern.test(text)) return { content: null, tool_calls: [toolCall(name)] };
+    }
+
+    for (const [pattern, name, toArgs] of TASK_RULES) {
+      const match = text.match(pattern);
+      if (match) return { content: null, tool_calls: [toolCall(name, toArgs(match[1]))] };
+    }
+
+    if (tools.some(tool => tool.function?.name === 'update_agenda')) {
+      for (const [pattern, toArgs] of AGENDA_RULES) {
+        const match = text.match(pattern);
+        if (match) return { content: null, tool_calls: [toolCall('update_agenda', toArgs(match[1]))] };
+      }
+    }
+
+    const search = text.match(SEARCH_PATTERN);
+    if (search) {
+      return { content: null, tool_calls: [toolCall('web_search', { query: search[1] })] };
+    }
+
+    return { content: `You said: ${text.replace(namePattern, '').replace(/^[\s,]+/, '')}`, tool_calls: undefined };
+  }
+
+  // Same answers as complete(), delivered a word at a time
+  async function* stream(options) {
+    const result = await complete(options);
+    for (const word of (result.content || '').split(/(?<= )/)) {
+      if (word) yield { type: 'text', text: word };
+    }
+    yield { type: 'done', ...result };
+  }
+
+  return { name: 'mock', model: 'mock', complete, stream };
+}
+
+const REPORT_RULES = [
+  ['decisions', /\b(decided|agreed|we'll go with)\b/i],
+  ['notes', /\bnote\b/i],
+  ['action_items', /\b(remind|action item|to-do|todo)\b/i],
+  ['deferred_tasks', /\b(schedule|send|email)\b/i]
+];
+
+function mockReport(transcript) {
+  const report = { summary: '', decisions: [], notes: [], action_items: [], deferred_tasks: [] };
+  let count = 0;
+  for (const line of transcript.split('\n')) {
+    const match = line.match(/^\[(u\d+)\] Participant: (.*)$/);
+    if (!match) continue;
+    count++;
+    const [, id, text] = match;
+    for (const [key, pattern] of REPORT_RULES) {
+      if (!pattern.test(text)) continue;
+      const item = { text, sources: [id] };
+      if (key === 'action_items') Object.assign(item, { owner: null, due: null });
+      if (key === 'deferred_tasks') item.type = /\bschedule\b/i.test(text) ? 'schedule' : 'email';
+      report[key].push(item);
+      break;
+    }
+  }
+  report.summary = `Mock summary of ${count} utterances.`;
+  return report;
+}
+
+function mockMemory(input) {
+  const [previous, transcript] = input.split('\nTRANSCRIPT:\n');
+  const pinned = previous.split('\n').filter(line => line.startsWith('- ')).map(line => line.slice(2));
+  const lines = transcript.split('\n').filter(Boolean);
+  for (const line of lines) {
+    const match = line.match(/^Participant: (.*)$/);
+    if (match && REPORT_RULES[0][1].test(match[1])) pinned.push(match[1]);
+  }
+  const earlier = Number(previous.match(/Mock memory of (\d+) lines/)?.[1] || 0);
+  return { summary: `Mock memory of ${earlier + lines.length} lines.`, pinned };
+}
@@ -0,0 +1,161 @@
+/**
+ * LLM provider: OpenAI chat completions, or any OpenAI-compatible endpoint
+ *
+ *   LLM_BASE_URL   Default https://api.openai.com/v1 (e.g. http://localhost:11434/v1)
+ *   LLM_API_KEY    Default OPENAI_API_KEY; optional for non-OpenAI endpoints
+ *   LLM_MODEL      Default gpt-4o-mini
+ */
+
+import https from 'https';
+import http from 'http';
+import { Buffer } from 'buffer';
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+function toUsage(usage) {
+  return usage ? { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 } : undefined;
+}
+
+export function createOpenAILLM({ env = process.env }) {
+  const baseUrl = new URL((env.LLM_BASE_URL || OPENAI_BASE_URL).replace(/\/+$/, '') + '/chat/completions');
+  const apiKey = env.LLM_API_KEY || env.OPENAI_API_KEY;
+  const model = env.LLM_MODEL || 'gpt-4o-mini';
+  const client = baseUrl.protocol === 'http:' ? http : https;
+
+  if (!apiKey && baseUrl.hostname === 'api.openai.com') {
+    throw new Error('OPENAI_API_KEY not set');
+  }
+
+  function buildRequest({ messages, tools, maxTokens = 150, temperature = 0.7, responseFormat, stream = false }) {
+    const body = {
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    };
+    if (stream) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+    if (responseFormat === 'json') {
+      body.response_format = { type: 'json_object' };
+    }
+    if (tools && tools.length > 0) {
+      body.tools = tools;
+      body.tool_choice = 'auto';
+    }
+    const postData = JSON.stringify(body);
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(postData)
+    };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+    return { postData, headers };
+  }
+
+  function complete(options) {
+    return new Promise((resolve, reject) => {
+      const { postData, headers } = buildRequest(options);
+
+      const req = client.request(baseUrl, { method: 'POST', headers }, (res) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => {
+          try {
+            const json = JSON.parse(data);
+            if (json.choices && json.choices[0]) {
+              const message = json.choices[0].message;
+              resolve({
+                content: message.content,
+                tool_calls: message.tool_calls,
+                usage: toUsage(json.usage)
+              });
+            } else {
+              reject(new Error(json.error?.message || 'No response from API'));
+            }
+          } catch (e) {
+            reject(e);
+          }
+        });
+      });
+
+      req.on('error', reject);
+      req.write(postData);
+      req.end();
+    });
+  }
+
+  // Resolves with the response once the status line is in; non-200 rejects with the API error
+  function openStream(options) {
+    return new Promise((resolve, reject) => {
+      const { postData, headers } = buildRequest({ ...options, stream: true });
+      const req = client.request(baseUrl, { method: 'POST', headers, signal: options.signal }, (res) => {
+        if (res.statusCode !== 200) {
+          let data = '';
+          res.on('data', chunk => data += chunk);
+          res.on('end', () => {
+            let message = `LLM error ${res.statusCode}`;
+            try {
+              message = JSON.parse(data).error?.message || message;
+            } catch (e) { /* not JSON */ }
+            reject(new Error(message));
+          });
+          return;
+        }
+        resolve(res);
+      });
+
+      req.on('error', reject);
+      req.write(postData);
+      req.end();
+    });
+  }
+
+  // Server-sent chunks → { type: 'text', text } as content arrives, then
+  // { type: 'done', content, tool_calls } with tool call fragments assembled
+  async function* stream(options) {
+    const res = await openStream(options);
+    res.setEncoding('utf8');
+    let buffer = '';
+    let content = '';
+    let usage;
+    const toolCalls = [];
+
+    for await (const chunk of res) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const data = line.startsWith('data:') ? line.slice(5).trim() : null;
+        if (!data || data === '[DONE]') continue;
+        let event;
+        try {
+          event = JSON.parse(data);
+        } catch (e) {
+          continue;
+        }
+        if (event.error) throw new Error(event.error.message || 'LLM stream error');
+        // With include_usage, the last chunk carries usage and no choices
+        if (event.usage) usage = toUsage(event.usage);
+        const delta = event.choices?.[0]?.delta;
+        if (!delta) continue;
+        if (delta.content) {
+          content += delta.content;
+          yield { type: 'text', text: delta.content };
+        }
+        for (const fragment of delta.tool_calls || []) {
+          const call = toolCalls[fragment.index] ||= { id: null, type: 'function', function: { name: '', arguments: '' } };
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function?.name) call.function.name += fragment.function.name;
+          if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+        }
+      }
+    }
+
+    const tool_calls = toolCalls.filter(Boolean);
+    yield { type: 'done', content: content || null, tool_calls: tool_calls.length > 0 ? tool_calls : undefined, usage };
+  }
+
+  return { name: 'openai', model, complete, stream };
+}
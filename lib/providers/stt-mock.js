@@ -0,0 +1,67 @@
+/**
+ * STT provider: scripted mock (no network, ignores audio)
+ *
+ * Emits a fixed list of utterances at a fixed interval, then closes:
+ *   MOCK_STT_SCRIPT        File with one utterance per line (# comments allowed)
+ *   MOCK_STT_UTTERANCES    Alternatively, utterances separated by "|"
+ *   MOCK_STT_INTERVAL_MS   Delay between utterances (default 3000)
+ */
+
+import fs from 'fs';
+import { EventEmitter } from 'events';
+
+const defaultScript = (agentName) => [
+  'Good morning everyone, let us get started.',
+  `${agentName}, what is two plus two?`,
+  `${agentName}, leave the meeting.`
+];
+
+export function loadMockScript(env = process.env, agentName = 'Claw') {
+  if (env.MOCK_STT_SCRIPT) {
+    return fs.readFileSync(env.MOCK_STT_SCRIPT, 'utf8')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+  }
+  if (env.MOCK_STT_UTTERANCES) {
+    return env.MOCK_STT_UTTERANCES.split('|').map(u => u.trim()).filter(Boolean);
+  }
+  return defaultScript(agentName);
+}
+
+export function createMockSTT({ env = process.env, agentName }) {
+  const script = loadMockScript(env, agentName);
+  const intervalMs = parseInt(env.MOCK_STT_INTERVAL_MS || '3000');
+  const stt = new EventEmitter();
+  const timers = [];
+  let closed = false;
+
+  function start() {
+    console.log(`🧪 Mock STT: ${script.length} scripted utterances every ${intervalMs}ms`);
+    setImmediate(() => stt.emit('ready'));
+
+    script.forEach((text, i) => {
+      const at = (i + 1) * intervalMs;
+      timers.push(setTimeout(() => stt.emit('speech_started'), at - 200));
+      // First half of the words, as a streaming recognizer would send mid-utterance
+      const words = text.split(' ');
+      timers.push(setTimeout(() => stt.emit('partial', { text: words.slice(0, Math.ceil(words.length / 2)).join(' ') }), at - 100));
+      timers.push(setTimeout(() => {
+        stt.emit('speech_stopped');
+        stt.emit('transcript', { text });
+      }, at));
+    });
+    timers.push(setTimeout(close, (script.length + 1) * intervalMs));
+  }
+
+  function sendAudio() {}
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    timers.forEach(clearTimeout);
+    stt.emit('close');
+  }
+
+  return Object.assign(stt, { name: 'mock', start, sendAudio, close });
+}
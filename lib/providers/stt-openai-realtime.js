@@ -0,0 +1,98 @@
+/**
+ * STT provider: OpenAI Realtime API in transcription-only mode
+ *
+ * Uses server VAD for turn detection and TRANSCRIBE_MODEL (default whisper-1)
+ * for transcription. `language` (set when the meeting has a single
+ * language, see lib/language.js) is passed on as a transcription hint.
+ * Reconnects automatically (see lib/realtime-connection.js) and reports
+ * it through 'reconnecting' / 'reconnected' events.
+ */
+
+import { EventEmitter } from 'events';
+import { createRealtimeConnection } from '../realtime-connection.js';
+
+export function createOpenAIRealtimeSTT({ env = process.env, sampleRate = 24000, language = null }) {
+  const apiKey = env.OPENAI_API_KEY;
+  if (!apiKey) throw new Error('OPENAI_API_KEY not set');
+
+  const stt = new EventEmitter();
+  const partials = new Map();   // item_id → transcript so far
+  const conn = createRealtimeConnection({
+    apiKey,
+    model: env.REALTIME_MODEL || 'gpt-4o-realtime-preview',
+    sampleRate,
+    env,
+    // Configure for transcription only (no audio output)
+    sessionConfig: {
+      modalities: ['text'],
+      instructions: 'Transcribe the user\'s speech accurately. Do not generate responses.',
+      input_audio_format: 'pcm16',
+      input_audio_transcription: {
+        model: env.TRANSCRIBE_MODEL || 'whisper-1',
+        ...(language && { language })
+      },
+      turn_detection: {
+        type: 'server_vad',
+        threshold: 0.5,
+        prefix_padding_ms: 300,
+        silence_duration_ms: 700
+      }
+    }
+  });
+
+  conn.on('open', ({ reconnect }) => {
+    console.log(reconnect ? '✅ Reconnected to OpenAI Realtime API' : '✅ Connected to OpenAI Realtime API');
+  });
+
+  conn.on('ready', ({ reconnect, replayedMs, droppedMs }) => {
+    if (reconnect) {
+      stt.emit('reconnected', { replayedMs, droppedMs });
+    } else {
+      console.log('✅ Session configured (transcription mode)');
+      stt.emit('ready');
+    }
+  });
+
+  conn.on('event', (event) => {
+    switch (event.type) {
+      case 'session.created':
+        console.log('📡 Session created');
+        break;
+
+      case 'input_audio_buffer.speech_started':
+        stt.emit('speech_started');
+        break;
+
+      case 'input_audio_buffer.speech_stopped':
+        stt.emit('speech_stopped');
+        break;
+
+      case 'conversation.item.input_audio_transcription.delta': {
+        const text = (partials.get(event.item_id) || '') + (event.delta || '');
+        partials.set(event.item_id, text);
+        stt.emit('partial', { text });
+        break;
+      }
+
+      case 'conversation.item.input_audio_transcription.completed':
+        partials.delete(event.item_id);
+        stt.emit('transcript', { text: event.transcript || '' });
+        break;
+
+      case 'error':
+        stt.emit('error', new Error(event.error?.message || String(event.error)));
+        break;
+    }
+  });
+
+  conn.on('reconnecting', (info) => stt.emit('reconnecting', info));
+  conn.on('error', (err) => stt.emit('error', err));
+  conn.on('close', () => stt.emit('close'));
+
+  return Object.assign(stt, {
+    name: 'openai-realtime',
+    start: () => conn.connect(),
+    sendAudio: (chunk) => conn.appendAudio(chunk),
+    close: () => conn.close()
+  });
+}
@@ -0,0 +1,174 @@
+/**
+ * TTS chain: the TTS provider plus ordered fallbacks
+ *
+ *   TTS_FALLBACKS            Backends to try, in order, when TTS_PROVIDER fails,
+ *                            e.g. "openai,command" (default none)
+ *   TTS_TIMEOUT_MS           How long a backend gets to start returning audio (default 8000)
+ *   TTS_RETRIES              Extra attempts on the same backend before falling back (default 0)
+ *   TTS_TIMEOUT_MS_<NAME>, TTS_RETRIES_<NAME>
+ *                            Per backend, e.g. TTS_RETRIES_ELEVENLABS=1
+ *   TTS_FAILURE_COOLDOWN_MS  A backend that failed is skipped this long, so every
+ *                            sentence doesn't wait for it again (default 60000)
+ *
+ * Every spoken line, canned phrases included, goes through synthesize(), so
+ * a quota error or outage at one provider switches to the next instead of
+ * leaving the bot silent. Each switch calls the onFallback listeners with
+ * { from, to, reason }. Audio is resampled to the first backend's sample
+ * rate, so one playback can mix backends.
+ *
+ * Only getting the audio started is covered: a stream that breaks off after
+ * its first bytes ends that line.
+ */
+
+import { Transform } from 'stream';
+import { Buffer } from 'buffer';
+
+export function getTTSChainConfig(env = process.env, names) {
+  const number = (name, fallback) => {
+    const value = Number(env[name] ?? fallback);
+    if (!Number.isFinite(value) || value < 0) throw new Error(`${name} must be a non-negative number`);
+    return value;
+  };
+  const timeoutMs = number('TTS_TIMEOUT_MS', 8000);
+  const retries = number('TTS_RETRIES', 0);
+  return {
+    backends: names.map((name) => {
+      const suffix = name.toUpperCase().replace(/\W/g, '_');
+      return {
+        name,
+        timeoutMs: number(`TTS_TIMEOUT_MS_${suffix}`, timeoutMs),
+        retries: Math.floor(number(`TTS_RETRIES_${suffix}`, retries))
+      };
+    }),
+    cooldownMs: number('TTS_FAILURE_COOLDOWN_MS', 60000)
+  };
+}
+
+// TTS_PROVIDER then TTS_FALLBACKS, without duplicates
+export function ttsChainNames(env = process.env) {
+  const names = [env.TTS_PROVIDER || 'elevenlabs', ...(env.TTS_FALLBACKS || '').split(',').map(n => n.trim()).filter(Boolean)];
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) throw new Error(`TTS provider "${duplicate}" is listed twice in TTS_PROVIDER / TTS_FALLBACKS`);
+  return names;
+}
+
+/**
+ * @param {object} options
+ * @param {object[]} options.backends  [{ tts, timeoutMs, retries }], first is the primary
+ * @param {number} [options.cooldownMs]
+ * @param {Function} [options.now]
+ */
+export function createTTSChain({ backends, cooldownMs = 60000, now = Date.now }) {
+  const [primary] = backends;
+  const sampleRate = primary.tts.sampleRate;
+  const listeners = [];
+  const skipUntil = new Map();  // backend name → time its cooldown ends
+
+  // One attempt, bounded by the backend's timeout; aborting `signal` still
+  // cancels the request (and the stream, once it has started)
+  function attempt(backend, text, options) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    options.signal?.addEventListener('abort', abort, { once: true });
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      // Reject before aborting, so the timeout is the reason given
+      timer = setTimeout(() => {
+        reject(new Error(`no audio after ${backend.timeoutMs}ms`));
+        controller.abort();
+      }, backend.timeoutMs);
+    });
+    return Promise.race([backend.tts.synthesize(text, { ...options, signal: controller.signal }), timeout])
+      .catch((err) => {
+        options.signal?.removeEventListener('abort', abort);
+        throw err;
+      })
+      .finally(() => clearTimeout(timer));
+  }
+
+  async function synthesize(text, options = {}) {
+    const { signal } = options;
+    const ready = backends.filter(backend => !(skipUntil.get(backend.tts.name) > now()));
+    // All cooling down: try them anyway rather than say nothing
+    const candidates = ready.length > 0 ? ready : backends;
+    let lastError = null;
+
+    for (let i = 0; i < candidates.length; i++) {
+      const backend = candidates[i];
+      const name = backend.tts.name;
+      for (let tries = 0; tries <= backend.retries; tries++) {
+        try {
+          const audio = await attempt(backend, text, options);
+          skipUntil.delete(name);
+          return resample(audio, audio.sampleRate || backend.tts.sampleRate, sampleRate);
+        } catch (err) {
+          // Interrupted by the bridge: nothing to fall back for
+          if (signal?.aborted) throw err;
+          lastError = err;
+          if (tries < backend.retries) console.log(`🔁 TTS ${name} failed (${err.message}), retrying`);
+        }
+      }
+      if (backends.length > 1) skipUntil.set(name, now() + cooldownMs);
+      const next = candidates[i + 1];
+      if (next) {
+        console.log(`🔀 TTS ${name} failed (${lastError.message}), falling back to ${next.tts.name}`);
+        for (const listener of listeners) listener({ from: name, to: next.tts.name, reason: lastError.message });
+      }
+    }
+    throw lastError;
+  }
+
+  // Listeners get { from, to, reason } for every fallback
+  function onFallback(listener) {
+    listeners.push(listener);
+  }
+
+  if (backends.length === 1) {
+    return { ...primary.tts, synthesize, onFallback };
+  }
+  return {
+    name: backends.map(backend => backend.tts.name).join(' → '),
+    voiceId: primary.tts.voiceId,
+    sampleRate,
+    synthesize,
+    onFallback
+  };
+}
+
+// 16-bit mono PCM from `fromRate` to `toRate`, by linear interpolation
+function resample(audio, fromRate, toRate) {
+  if (fromRate === toRate) return audio;
+  const step = fromRate / toRate;
+  let position = 0;  // of the next output sample, in input samples from `previous`
+  let previous = null;
+  let odd = null;    // a byte split across chunks
+  const resampler = new Transform({
+    transform(chunk, encoding, callback) {
+      const data = odd ? Buffer.concat([odd, chunk]) : chunk;
+      const count = Math.floor(data.length / 2);
+      odd = data.length % 2 ? data.subarray(data.length - 1) : null;
+      const input = previous === null ? [] : [previous];
+      for (let i = 0; i < count; i++) input.push(data.readInt16LE(i * 2));
+      if (input.length < 2) {
+        if (input.length === 1) previous = input[0];
+        return callback();
+      }
+      const output = [];
+      while (position + 1 < input.length) {
+        const index = Math.floor(position);
+        const fraction = position - index;
+        output.push(Math.round(input[index] + (input[index + 1] - input[index]) * fraction));
+        position += step;
+      }
+      position -= input.length - 1;
+      previous = input[input.length - 1];
+      const out = Buffer.alloc(output.length * 2);
+      output.forEach((sample, i) => out.writeInt16LE(sample, i * 2));
+      callback(null, out);
+    }
+  });
+  audio.on('error', err => resampler.destroy(err));
+  // Destroying the result (interrupted playback) stops the source too
+  resampler.on('close', () => audio.destroy());
+  return audio.pipe(resampler);
+}
@@ -0,0 +1,126 @@
+/**
+ * TTS provider: local command-line synthesizer (espeak-ng, piper, ...)
+ *
+ *   TTS_COMMAND              Shell command run per request. It gets the text on
+ *                            stdin and writes audio to stdout; {language} is
+ *                            replaced with the reply language (default "en").
+ *   TTS_COMMAND_FORMAT       wav (default) | raw (16-bit mono PCM)
+ *   TTS_COMMAND_SAMPLE_RATE  Sample rate of raw output (default 22050)
+ *
+ * e.g.
+ *   TTS_COMMAND="espeak-ng --stdin --stdout -v {language}"
+ *   TTS_COMMAND="piper --model en_US-lessac-medium.onnx --output-raw" TTS_COMMAND_FORMAT=raw
+ *
+ * WAV output must be 16-bit mono; its header sets the sample rate. No
+ * network, so it makes a good last fallback (see lib/providers/tts-chain.js).
+ * Speech hints are reduced to plain text.
+ */
+
+import { spawn } from 'child_process';
+import { PassThrough } from 'stream';
+import { Buffer } from 'buffer';
+import { renderSpeechHints } from '../speech-normalizer.js';
+import { parseWavHeader } from '../audio-io.js';
+
+const STDERR_KEEP = 500;
+
+export function createCommandTTS({ env = process.env }) {
+  const command = env.TTS_COMMAND;
+  if (!command) throw new Error('TTS_COMMAND not set (needed for TTS provider command)');
+  const format = env.TTS_COMMAND_FORMAT || 'wav';
+  if (!['wav', 'raw'].includes(format)) {
+    throw new Error(`Unknown TTS_COMMAND_FORMAT "${format}" (use wav or raw)`);
+  }
+  const sampleRate = parseInt(env.TTS_COMMAND_SAMPLE_RATE || '22050');
+
+  // Resolves with the PCM stream once the command has produced audio (and, for
+  // WAV, its header). The stream's `sampleRate` is the one it actually uses.
+  function synthesize(text, { signal, language = 'en' } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(new Error('TTS request aborted'));
+      const child = spawn(command.replaceAll('{language}', language), { shell: true, stdio: ['pipe', 'pipe', 'pipe'] });
+      const audio = new PassThrough();
+      audio.sampleRate = sampleRate;
+      let header = format === 'wav' ? Buffer.alloc(0) : null;
+      let started = false;
+      let stderr = '';
+
+      const start = () => {
+        started = true;
+        resolve(audio);
+      };
+      const fail = (err) => {
+        if (started) audio.destroy(err);
+        else reject(err);
+      };
+
+      // Like the network providers, an aborted playback just ends its stream
+      signal?.addEventListener('abort', () => {
+        child.kill();
+        if (started) audio.destroy();
+        else reject(new Error('TTS request aborted'));
+      }, { once: true });
+
+      child.stdout.on('data', (chunk) => {
+        if (audio.destroyed) return;
+        if (header === null) {
+          if (!started) start();
+          audio.write(chunk);
+          return;
+        }
+        header = Buffer.concat([header, chunk]);
+        if (header.length < 12) return;
+        let parsed;
+        try {
+          parsed = checkWav(header);
+        } catch (err) {
+          child.kill();
+          fail(err);
+          return;
+        }
+        if (!parsed) return;
+        audio.sampleRate = parsed.sampleRate;
+        const rest = header.subarray(parsed.dataOffset);
+        header = null;
+        start();
+        if (rest.length > 0) audio.write(rest);
+      });
+      child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-STDERR_KEEP);
+      });
+      child.on('error', fail);
+      child.on('close', (code) => {
+        if (audio.destroyed) return;
+        if (code !== 0 && code !== null) {
+          fail(new Error(`TTS command exited with ${code}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+          return;
+        }
+        if (!started) {
+          reject(new Error('TTS command produced no audio'));
+          return;
+        }
+        audio.end();
+      });
+
+      // The command may exit before reading all of stdin
+      child.stdin.on('error', () => {});
+      child.stdin.end(renderSpeechHints(text));
+    });
+  }
+
+  return { name: 'command', voiceId: null, sampleRate, synthesize };
+}
+
+// The parsed header once it is all in `header` (null until then). Throws
+// for anything but 16-bit mono PCM WAV.
+function checkWav(header) {
+  if (header.toString('ascii', 0, 4) !== 'RIFF' || header.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('TTS command output is not WAV (set TTS_COMMAND_FORMAT=raw for raw PCM)');
+  }
+  const wav = parseWavHeader(header);
+  if (!wav) return null;
+  if (wav.audioFormat !== 1 || wav.channels !== 1 || wav.bitsPerSample !== 16) {
+    throw new Error(`TTS command WAV must be 16-bit mono PCM (got ${wav.channels} channels, ${wav.bitsPerSample}-bit)`);
+  }
+  return wav;
+}
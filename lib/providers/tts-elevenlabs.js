@@ -0,0 +1,74 @@
+/**
+ * TTS provider: ElevenLabs (eleven_turbo_v2_5 by default, raw PCM at 24 kHz)
+ *
+ * `voices` / `models` pick a voice and model per language (see
+ * lib/language.js); synthesize() without a language, or for one that isn't
+ * mapped, uses the default voice and model.
+ *
+ * <break/> hints from the speech normalizer are sent as they are; <phoneme>
+ * hints only to the models that read them, the others get the spelling.
+ */
+
+import https from 'https';
+import { renderSpeechHints } from '../speech-normalizer.js';
+
+const DEFAULT_MODEL = 'eleven_turbo_v2_5';
+const PHONEME_MODELS = ['eleven_flash_v2', 'eleven_turbo_v2', 'eleven_monolingual_v1'];
+
+// Which speech hints `model` understands (see renderSpeechHints)
+export function elevenLabsHints(model = DEFAULT_MODEL) {
+  return { phonemes: PHONEME_MODELS.includes(model), breaks: true };
+}
+
+// `voiceId` comes from the persona and wins over ELEVENLABS_VOICE_ID
+export function createElevenLabsTTS({ env = process.env, voiceId: personaVoiceId, voices = {}, models = {} }) {
+  const apiKey = env.ELEVENLABS_API_KEY;
+  if (!apiKey) throw new Error('ELEVENLABS_API_KEY not set');
+
+  const voiceId = personaVoiceId || env.ELEVENLABS_VOICE_ID || 'cgSgspJ2msm6clMCkdW9'; // Jessica
+  const sampleRate = 24000;
+
+  // Resolves with the audio stream once ElevenLabs answers 200
+  function synthesize(text, { signal, language } = {}) {
+    const model = models[language] || DEFAULT_MODEL;
+    return new Promise((resolve, reject) => {
+      const postData = JSON.stringify({
+        text: renderSpeechHints(text, elevenLabsHints(model)),
+        model_id: model,
+        // Only the v2.5 models accept a language hint
+        ...(language && model.endsWith('_v2_5') && { language_code: language }),
+        voice_settings: {
+          stability: 0.5,
+          similarity_boost: 0.75
+        },
+        apply_text_normalization: 'on'
+      });
+
+      const req = https.request({
+        hostname: 'api.elevenlabs.io',
+        path: `/v1/text-to-speech/${voices[language] || voiceId}?output_format=pcm_${sampleRate}`,
+        method: 'POST',
+        signal,
+        headers: {
+          'xi-api-key': apiKey,
+          'Content-Type': 'application/json',
+          'Accept': 'audio/pcm'
+        }
+      }, (res) => {
+        if (res.statusCode !== 200) {
+          let errData = '';
+          res.on('data', chunk => errData += chunk);
+          res.on('end', () => reject(new Error(`ElevenLabs error ${res.statusCode}: ${errData}`)));
+          return;
+        }
+        resolve(res);
+      });
+
+      req.on('error', reject);
+      req.write(postData);
+      req.end();
+    });
+  }
+
+  return { name: 'elevenlabs', voiceId, sampleRate, synthesize };
+}
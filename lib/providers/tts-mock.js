@@ -0,0 +1,40 @@
+/**
+ * TTS provider: deterministic mock (no network)
+ *
+ * Produces a quiet 440 Hz tone, MOCK_TTS_MS_PER_CHAR long per character
+ * (default 60ms), so playback timing scales with reply length.
+ * MOCK_TTS_FAIL=on makes every request fail, to try out TTS_FALLBACKS.
+ */
+
+import { Readable } from 'stream';
+import { Buffer } from 'buffer';
+import { renderSpeechHints } from '../speech-normalizer.js';
+
+const CHUNK_SAMPLES = 2400;  // 100ms at 24 kHz
+
+export function createMockTTS({ env = process.env }) {
+  const sampleRate = 24000;
+  const msPerChar = parseInt(env.MOCK_TTS_MS_PER_CHAR || '60');
+  const fail = env.MOCK_TTS_FAIL === 'on';
+
+  async function synthesize(text, { signal } = {}) {
+    if (signal && signal.aborted) throw new Error('TTS request aborted');
+    if (fail) throw new Error('Mock TTS error 429: quota exceeded');
+
+    const totalSamples = Math.round(renderSpeechHints(text).length * msPerChar * sampleRate / 1000);
+    const pcm = Buffer.alloc(totalSamples * 2);
+    for (let i = 0; i < totalSamples; i++) {
+      pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / sampleRate) * 1000), i * 2);
+    }
+
+    const chunks = [];
+    for (let offset = 0; offset < pcm.length; offset += CHUNK_SAMPLES * 2) {
+      chunks.push(pcm.subarray(offset, offset + CHUNK_SAMPLES * 2));
+    }
+    const stream = Readable.from(chunks, { objectMode: false });
+    if (signal) signal.addEventListener('abort', () => stream.destroy(), { once: true });
+    return stream;
+  }
+
+  return { name: 'mock', voiceId: 'mock', sampleRate, synthesize };
+}
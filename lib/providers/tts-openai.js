@@ -0,0 +1,53 @@
+/**
+ * TTS provider: OpenAI speech API (raw PCM at 24 kHz)
+ *
+ *   OPENAI_TTS_MODEL   Default gpt-4o-mini-tts
+ *   OPENAI_TTS_VOICE   Default alloy
+ *
+ * Uses OPENAI_API_KEY. The voice speaks every language, so `language` is
+ * not needed. Speech hints are reduced to plain text.
+ */
+
+import https from 'https';
+import { renderSpeechHints } from '../speech-normalizer.js';
+
+export function createOpenAITTS({ env = process.env }) {
+  const apiKey = env.OPENAI_API_KEY;
+  if (!apiKey) throw new Error('OPENAI_API_KEY not set (needed for TTS provider openai)');
+
+  const model = env.OPENAI_TTS_MODEL || 'gpt-4o-mini-tts';
+  const voiceId = env.OPENAI_TTS_VOICE || 'alloy';
+  const sampleRate = 24000;
+
+  // Resolves with the audio stream once OpenAI answers 200
+  function synthesize(text, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      const postData = JSON.stringify({ model, voice: voiceId, input: renderSpeechHints(text), response_format: 'pcm' });
+
+      const req = https.request({
+        hostname: 'api.openai.com',
+        path: '/v1/audio/speech',
+        method: 'POST',
+        signal,
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        }
+      }, (res) => {
+        if (res.statusCode !== 200) {
+          let errData = '';
+          res.on('data', chunk => errData += chunk);
+          res.on('end', () => reject(new Error(`OpenAI TTS error ${res.statusCode}: ${errData}`)));
+          return;
+        }
+        resolve(res);
+      });
+
+      req.on('error', reject);
+      req.write(postData);
+      req.end();
+    });
+  }
+
+  return { name: 'openai', voiceId, sampleRate, synthesize };
+}
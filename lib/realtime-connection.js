@@ -0,0 +1,158 @@
+/**
+ * Realtime Connection: OpenAI Realtime WebSocket with automatic reconnect
+ *
+ * Wraps the socket both bridges use. When the connection drops (network
+ * blip, server-side session timeout), it reconnects with exponential
+ * backoff, re-sends the session.update config, and replays audio captured
+ * while disconnected from a bounded ring buffer.
+ *
+ *   RECONNECT_MAX_ATTEMPTS  Consecutive failed attempts before giving up (default 10, 0 = never give up)
+ *   RECONNECT_BASE_MS       First retry delay (default 1000), doubled each attempt
+ *   RECONNECT_MAX_MS        Delay cap (default 30000)
+ *   RECONNECT_BUFFER_MS     Audio kept while disconnected (default 10000)
+ *   REALTIME_BASE_URL       Default wss://api.openai.com/v1/realtime (e.g. a proxy)
+ *
+ * Events:
+ * - 'open'          ({ reconnect })  socket connected, session.update sent
+ * - 'ready'         ({ reconnect, replayedMs, droppedMs })
+ *                                    session.updated received, buffered audio replayed
+ * - 'event'         (serverEvent)    every parsed server event
+ * - 'reconnecting'  ({ attempt, delayMs, reason })
+ * - 'error'         (Error)
+ * - 'close'         ({ reason })     gave up reconnecting (not emitted by close())
+ */
+
+import WebSocket from 'ws';
+import { EventEmitter } from 'events';
+
+export function createRealtimeConnection({ apiKey, model, sessionConfig, sampleRate = 24000, env = process.env }) {
+  const maxAttempts = parseInt(env.RECONNECT_MAX_ATTEMPTS || '10');
+  const baseDelayMs = parseInt(env.RECONNECT_BASE_MS || '1000');
+  const maxDelayMs = parseInt(env.RECONNECT_MAX_MS || '30000');
+  const bufferMaxBytes = Math.round(sampleRate * 2 * parseInt(env.RECONNECT_BUFFER_MS || '10000') / 1000);
+
+  const baseUrl = env.REALTIME_BASE_URL || 'wss://api.openai.com/v1/realtime';
+  const conn = new EventEmitter();
+  let ws = null;
+  let configured = false;
+  let everConnected = false;
+  let attempt = 0;
+  let retryTimer = null;
+  let closedForGood = false;
+
+  // Ring buffer of audio chunks captured while not configured
+  let ring = [];
+  let ringBytes = 0;
+  let droppedBytes = 0;
+
+  function connect() {
+    configured = false;
+    ws = new WebSocket(`${baseUrl}?model=${model}`, {
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'OpenAI-Beta': 'realtime=v1'
+      }
+    });
+
+    ws.on('open', () => {
+      ws.send(JSON.stringify({ type: 'session.update', session: sessionConfig }));
+      conn.emit('open', { reconnect: everConnected });
+    });
+
+    ws.on('message', (data) => {
+      let event;
+      try {
+        event = JSON.parse(data.toString());
+      } catch (e) {
+        return;
+      }
+      if (event.type === 'session.updated' && !configured) {
+        configured = true;
+        const reconnect = everConnected;
+        everConnected = true;
+        attempt = 0;
+        conn.emit('ready', { reconnect, ...flushRing() });
+      }
+      conn.emit('event', event);
+    });
+
+    ws.on('error', (err) => conn.emit('error', err));
+
+    ws.on('close', (code, reason) => {
+      configured = false;
+      if (closedForGood) return;
+      scheduleReconnect(`${code} ${reason || ''}`.trim());
+    });
+  }
+
+  function scheduleReconnect(reason) {
+    attempt++;
+    if (maxAttempts > 0 && attempt > maxAttempts) {
+      closedForGood = true;
+      conn.emit('close', { reason: `gave up after ${maxAttempts} attempts (${reason})` });
+      return;
+    }
+    const delayMs = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    conn.emit('reconnecting', { attempt, delayMs, reason });
+    retryTimer = setTimeout(connect, delayMs);
+  }
+
+  // Replay audio captured while disconnected; returns how much was kept/lost
+  function flushRing() {
+    const stats = { replayedMs: bytesToMs(ringBytes), droppedMs: bytesToMs(droppedBytes) };
+    for (const chunk of ring) sendAudioNow(chunk);
+    ring = [];
+    ringBytes = 0;
+    droppedBytes = 0;
+    return stats;
+  }
+
+  function bytesToMs(bytes) {
+    return Math.round(bytes / (sampleRate * 2) * 1000);
+  }
+
+  function sendAudioNow(chunk) {
+    ws.send(JSON.stringify({
+      type: 'input_audio_buffer.append',
+      audio: chunk.toString('base64')
+    }));
+  }
+
+  // Send audio now, or keep it until the session is back
+  function appendAudio(chunk) {
+    if (closedForGood) return;
+    if (configured && ws.readyState === WebSocket.OPEN) {
+      sendAudioNow(chunk);
+      return;
+    }
+    // Audio before the first session.updated is startup noise; don't keep it
+    if (!everConnected) return;
+    ring.push(chunk);
+    ringBytes += chunk.length;
+    while (ringBytes > bufferMaxBytes && ring.length > 1) {
+      const dropped = ring.shift();
+      ringBytes -= dropped.length;
+      droppedBytes += dropped.length;
+    }
+  }
+
+  // Send a client event; returns false if the socket isn't open
+  function send(event) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+    ws.send(JSON.stringify(event));
+    return true;
+  }
+
+  function isReady() {
+    return configured && ws && ws.readyState === WebSocket.OPEN;
+  }
+
+  function close() {
+    if (closedForGood) return;
+    closedForGood = true;
+    clearTimeout(retryTimer);
+    if (ws && ws.readyState === WebSocket.OPEN) ws.close();
+  }
+
+  return Object.assign(conn, { connect, send, appendAudio, isReady, close });
+}
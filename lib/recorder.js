@@ -0,0 +1,204 @@
+/**
+ * Recorder: meeting audio and the bot's voice to WAV, aligned with the transcript
+ *
+ *   RECORD               off (default) | stereo | tracks
+ *                        stereo: one file, meeting on the left, bot on the right
+ *                        tracks: <id>.meeting.NNN.wav and <id>.bot.NNN.wav
+ *   RECORD_DIR           Default SESSION_LOG_DIR (or ./sessions)
+ *   RECORD_MAX_MB        Start a new part when a file reaches this size (default 0 = off)
+ *   RECORD_MAX_MINUTES   Start a new part after this long (default 0 = off)
+ *
+ * The meeting input is the clock: every input sample advances the position
+ * by one, and bot audio is laid against it as it is played (silence in
+ * between), so both channels of a part always line up. Positions are sample
+ * offsets from the start of the session; session log records carry them as
+ * startSample/endSample, and each `recording` record gives the offset a
+ * part starts at, so any utterance can be found across rotated parts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Buffer } from 'buffer';
+import { createWavHeader, updateWavHeader } from './audio-io.js';
+
+const HEADER_UPDATE_SECONDS = 1;
+
+export function getRecordingConfig(env = process.env) {
+  const layout = env.RECORD || 'off';
+  if (layout === 'off') return null;
+  if (layout !== 'stereo' && layout !== 'tracks') {
+    throw new Error(`Unknown RECORD "${layout}" (use off, stereo or tracks)`);
+  }
+  return {
+    layout,
+    dir: env.RECORD_DIR || env.SESSION_LOG_DIR || 'sessions',
+    maxBytes: parseFloat(env.RECORD_MAX_MB || '0') * 1024 * 1024,
+    maxMinutes: parseFloat(env.RECORD_MAX_MINUTES || '0')
+  };
+}
+
+// Linear interpolation; good enough for review audio
+function resample(chunk, fromRate, toRate) {
+  if (fromRate === toRate) return chunk;
+  const inSamples = Math.floor(chunk.length / 2);
+  const outSamples = Math.floor(inSamples * toRate / fromRate);
+  const out = Buffer.alloc(outSamples * 2);
+  for (let i = 0; i < outSamples; i++) {
+    const pos = i * fromRate / toRate;
+    const i0 = Math.floor(pos);
+    const i1 = Math.min(i0 + 1, inSamples - 1);
+    const frac = pos - i0;
+    const value = chunk.readInt16LE(i0 * 2) * (1 - frac) + chunk.readInt16LE(i1 * 2) * frac;
+    out.writeInt16LE(Math.round(value), i * 2);
+  }
+  return out;
+}
+
+// Interleave two mono buffers of equal length into one stereo buffer
+function interleave(left, right) {
+  const samples = left.length / 2;
+  const out = Buffer.alloc(samples * 4);
+  for (let i = 0; i < samples; i++) {
+    out.writeInt16LE(left.readInt16LE(i * 2), i * 4);
+    out.writeInt16LE(right.readInt16LE(i * 2), i * 4 + 2);
+  }
+  return out;
+}
+
+function createWavWriter(filePath, sampleRate, channels) {
+  const fd = fs.openSync(filePath, 'w');
+  fs.writeSync(fd, createWavHeader({ sampleRate, channels }));
+  let dataBytes = 0;
+  return {
+    path: filePath,
+    get dataBytes() { return dataBytes; },
+    write(buf) {
+      fs.writeSync(fd, buf);
+      dataBytes += buf.length;
+    },
+    sync() {
+      updateWavHeader(fd, dataBytes);
+    },
+    close() {
+      updateWavHeader(fd, dataBytes);
+      fs.closeSync(fd);
+    }
+  };
+}
+
+export function createRecorder({ layout, dir, maxBytes = 0, maxMinutes = 0, sessionId, sampleRate, sessionLog }) {
+  const maxSamples = maxMinutes > 0 ? Math.round(maxMinutes * 60 * sampleRate) : 0;
+  let position = 0;        // input samples since the session started
+  let part = 0;
+  let partStart = 0;
+  let writers = [];
+  let sinceHeaderUpdate = 0;
+  let pendingOutput = [];  // bot audio (mono, at sampleRate) not yet laid down
+  let pendingBytes = 0;
+  let closed = false;
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  function openPart() {
+    part++;
+    partStart = position;
+    const suffix = String(part).padStart(3, '0');
+    const base = path.join(dir, sessionId);
+    writers = layout === 'stereo'
+      ? [createWavWriter(`${base}.${suffix}.wav`, sampleRate, 2)]
+      : [createWavWriter(`${base}.meeting.${suffix}.wav`, sampleRate, 1), createWavWriter(`${base}.bot.${suffix}.wav`, sampleRate, 1)];
+    const files = writers.map(w => w.path);
+    console.log(`🎙️ Recording part ${part}: ${files.join(', ')}`);
+    sessionLog.record('recording', { part, layout, files, startSample: partStart, sampleRate });
+  }
+
+  function closePart() {
+    for (const writer of writers) writer.close();
+    writers = [];
+  }
+
+  // Take `bytes` of pending bot audio, padding with silence
+  function takeOutput(bytes) {
+    const out = Buffer.alloc(bytes);
+    let filled = 0;
+    while (filled < bytes && pendingOutput.length > 0) {
+      const chunk = pendingOutput[0];
+      const n = Math.min(chunk.length, bytes - filled);
+      chunk.copy(out, filled, 0, n);
+      filled += n;
+      if (n === chunk.length) pendingOutput.shift();
+      else pendingOutput[0] = chunk.subarray(n);
+    }
+    pendingBytes -= filled;
+    return out;
+  }
+
+  function shouldRotate() {
+    if (maxSamples > 0 && position - partStart >= maxSamples) return true;
+    return maxBytes > 0 && writers.some(w => w.dataBytes >= maxBytes);
+  }
+
+  // Meeting audio: advances the clock and lays down the matching bot audio
+  function writeInput(chunk) {
+    if (closed) return;
+    if (writers.length === 0) openPart();
+    const bytes = chunk.length - (chunk.length % 2);
+    const meeting = chunk.subarray(0, bytes);
+    const bot = takeOutput(bytes);
+    try {
+      if (layout === 'stereo') {
+        writers[0].write(interleave(meeting, bot));
+      } else {
+        writers[0].write(meeting);
+        writers[1].write(bot);
+      }
+    } catch (err) {
+      console.error('⚠️ Recording write failed, recording stopped:', err.message);
+      sessionLog.record('error', { source: 'recorder', message: err.message });
+      close();
+      return;
+    }
+    position += bytes / 2;
+    sinceHeaderUpdate += bytes / 2;
+    if (sinceHeaderUpdate >= sampleRate * HEADER_UPDATE_SECONDS) {
+      sinceHeaderUpdate = 0;
+      for (const writer of writers) writer.sync();
+    }
+    // The next part opens with the next chunk, so the session never ends on an empty file
+    if (shouldRotate()) closePart();
+  }
+
+  // Bot audio as it is sent to the output device
+  function writeOutput(chunk, rate = sampleRate) {
+    if (closed) return;
+    const mono = resample(chunk.subarray(0, chunk.length - (chunk.length % 2)), rate, sampleRate);
+    pendingOutput.push(mono);
+    pendingBytes += mono.length;
+  }
+
+  // Playback was cut off: audio not yet laid down was never heard
+  function dropOutput() {
+    pendingOutput = [];
+    pendingBytes = 0;
+  }
+
+  // Sample offset where bot audio written now will end up
+  function outputPosition() {
+    return position + pendingBytes / 2;
+  }
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    closePart();
+  }
+
+  return {
+    get position() { return position; },
+    outputPosition,
+    writeInput,
+    writeOutput,
+    dropOutput,
+    close
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * Redact: scrub personal data from what the bridge keeps or sends out
+ *
+ * With REDACT=on, emails, phone numbers, card numbers and the names and
+ * terms listed in REDACT_TERMS / REDACT_TERMS_FILE are replaced with
+ * [EMAIL], [PHONE], [CARD] and [REDACTED] in:
+ * - the session log (every string field) and everything read from it: the
+ *   live view, the post-meeting summary
+ * - the task store file
+ * - transcript and reply lines printed to the console
+ * - web search queries, before they leave the host
+ *
+ *   REDACT            on | off (default)
+ *   REDACT_LLM        on | off (default): also redact messages sent for chat
+ *                     completions (needs REDACT=on)
+ *   REDACT_TERMS      Comma-separated names and terms, matched as whole words, any case
+ *   REDACT_TERMS_FILE One name or term per line (# comments)
+ *
+ * Only numbers written as digits are caught, not ones the transcript spells
+ * out ("five five five..."). Audio recordings (lib/recorder.js) and the
+ * Realtime model's own audio input can't be redacted.
+ */
+
+import fs from 'fs';
+
+// Order matters: cards before phones, so 16 digits aren't read as a phone number.
+// Numbers inside a longer token (session IDs, file paths, timestamps) don't count.
+// A phone number needs a leading +, an area code in parentheses or digits in
+// groups ("555-0199", "030 1234567"), so amounts and plain IDs are left alone.
+const PATTERNS = [
+  ['EMAIL', /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g],
+  ['CARD', /(?<![\w/.+-])\d(?:[ -]?\d){12,18}(?![\w-])/g],
+  ['PHONE', /(?<![\w/.+-])(?:\+\d{1,3}[ .-]?(?:\(\d{1,4}\)[ .-]?)?\d[\d .-]{4,}\d|\(\d{1,4}\)[ .-]?\d[\d .-]{4,}\d|\d{2,5}(?:[ .-]\d{2,8}){1,4})(?![\w-])/g]
+];
+// A phone number has 7-15 digits; ISO dates and times are left alone
+const PHONE_DIGITS = [7, 15];
+const DATE_LIKE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Card numbers end in a Luhn check digit; other long digit runs don't, mostly
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function readTermsFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    throw new Error(`Could not read REDACT_TERMS_FILE ${filePath}: ${err.message}`);
+  }
+  return text.split('\n').map(line => line.replace(/#.*/, '').trim()).filter(Boolean);
+}
+
+export function getRedactionConfig(env = process.env) {
+  const mode = env.REDACT || 'off';
+  const llmMode = env.REDACT_LLM || 'off';
+  for (const [name, value] of [['REDACT', mode], ['REDACT_LLM', llmMode]]) {
+    if (!['on', 'off'].includes(value)) {
+      throw new Error(`Unknown ${name} "${value}" (use on or off)`);
+    }
+  }
+  if (llmMode === 'on' && mode !== 'on') {
+    throw new Error('REDACT_LLM=on needs REDACT=on');
+  }
+  const terms = [
+    ...(env.REDACT_TERMS || '').split(',').map(term => term.trim()).filter(Boolean),
+    ...(env.REDACT_TERMS_FILE ? readTermsFile(env.REDACT_TERMS_FILE) : [])
+  ];
+  return { enabled: mode === 'on', llm: llmMode === 'on', terms };
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @param {object} options
+ * @param {boolean} [options.enabled]  false: every function passes text through unchanged
+ * @param {string[]} [options.terms]   Names and terms to redact
+ * @param {boolean} [options.llm]      instrumentLLM() redacts prompts too
+ */
+export function createRedactor({ enabled = false, terms = [], llm = false } = {}) {
+  // Longest first, so "Acme Corp" wins over "Acme"
+  const termPattern = terms.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${[...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+    : null;
+
+  function redact(text) {
+    if (!enabled || typeof text !== 'string' || !text) return text;
+    let result = text;
+    for (const [label, pattern] of PATTERNS) {
+      result = result.replace(pattern, (match) => {
+        if (label === 'CARD' && !passesLuhn(match.replace(/\D/g, ''))) return match;
+        if (label === 'PHONE') {
+          const digits = match.replace(/\D/g, '').length;
+          if (digits < PHONE_DIGITS[0] || digits > PHONE_DIGITS[1] || DATE_LIKE.test(match)) return match;
+        }
+        return `[${label}]`;
+      });
+    }
+    if (termPattern) result = result.replace(termPattern, '[REDACTED]');
+    return result;
+  }
+
+  // Every string in a record, however deeply nested
+  function redactDeep(value) {
+    if (!enabled) return value;
+    if (typeof value === 'string') return redact(value);
+    if (Array.isArray(value)) return value.map(redactDeep);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, redactDeep(child)]));
+  }
+
+  // Wrap an LLM provider so message contents are redacted before they are sent
+  // (REDACT_LLM=on); otherwise returns it unchanged
+  function instrumentLLM(provider) {
+    if (!enabled || !llm) return provider;
+    const scrub = (options) => ({
+      ...options,
+      messages: options.messages.map(m => (typeof m.content === 'string' ? { ...m, content: redact(m.content) } : m))
+    });
+    const wrapped = { ...provider, complete: (options) => provider.complete(scrub(options)) };
+    if (typeof provider.stream === 'function') {
+      wrapped.stream = (options) => provider.stream(scrub(options));
+    }
+    return wrapped;
+  }
+
+  return { enabled, redact, redactDeep, instrumentLLM };
+}
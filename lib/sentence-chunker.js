@@ -0,0 +1,56 @@
+/**
+ * Sentence Chunker: split streamed LLM text at sentence boundaries for TTS
+ *
+ * push() returns the sentences completed by the new text; flush() returns
+ * whatever is left when the stream ends. A boundary is . ! ? or … followed
+ * by whitespace, or a line break, so "3.5" and "e.g." stay intact. Very short
+ * sentences are held back and joined to the next one, since each chunk is a
+ * separate TTS request.
+ */
+
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'inc', 'ltd',
+  'e.g', 'i.e', 'approx', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug',
+  'sep', 'sept', 'oct', 'nov', 'dec'
+]);
+
+const BOUNDARY = /([.!?…]+["')\]]*)\s+|\n+/g;
+
+export function createSentenceChunker({ minChars = 12 } = {}) {
+  let buffer = '';
+
+  // `next`: where the following sentence would start. "No." only abbreviates
+  // a number ("No. 5"); until the next word has streamed in, keep waiting.
+  function isAbbreviation(text, end, next) {
+    const word = text.slice(0, end).match(/([\p{L}.]+)\.$/u);
+    if (!word) return false;
+    if (word[1].toLowerCase() === 'no') return next >= text.length || /\d/.test(text[next]);
+    return ABBREVIATIONS.has(word[1].toLowerCase());
+  }
+
+  function push(text) {
+    buffer += text;
+    const sentences = [];
+    let start = 0;
+    BOUNDARY.lastIndex = 0;
+    let match;
+    while ((match = BOUNDARY.exec(buffer)) !== null) {
+      const end = match.index + (match[1] ? match[1].length : 0);
+      if (match[1] && match[1].endsWith('.') && isAbbreviation(buffer, end, BOUNDARY.lastIndex)) continue;
+      const sentence = buffer.slice(start, end).trim();
+      if (sentence.length < minChars) continue;  // too short on its own, keep going
+      sentences.push(sentence);
+      start = BOUNDARY.lastIndex;
+    }
+    buffer = buffer.slice(start);
+    return sentences;
+  }
+
+  function flush() {
+    const rest = buffer.trim();
+    buffer = '';
+    return rest;
+  }
+
+  return { push, flush };
+}
@@ -0,0 +1,105 @@
+/**
+ * Session Log: structured JSONL transcript and event log
+ *
+ * Each bridge run writes one file, <SESSION_LOG_DIR>/<sessionId>.jsonl, with
+ * one JSON record per line. Post-meeting tooling should read this file
+ * instead of grepping console output.
+ *
+ * Every record carries:
+ *   { v, sessionId, seq, ts, bridge, type, ...fields }
+ *
+ * Record types:
+ * - session_start   { config }
+ * - utterance       { utteranceId, text, addressedBy?, language, startSample?, endSample? }
+ * - reply           { text, inReplyTo, language?, source? }   (source: control | budget | agenda)
+ * - interrupted     { text, inReplyTo, playedMs? }
+ * - echo            { text, similarity }   (transcript dropped as the bot's own voice)
+ * - queue_overflow  { utteranceId }
+ * - tool_call       { name, arguments, inReplyTo }
+ * - search_results  { query, results }
+ * - task            { kind, id, utteranceId, source, ...item }   (see lib/task-store.js)
+ * - state           { muted, paused, change, source }
+ * - system_message  { text, source }
+ * - error           { source, message }
+ * - connection      { status, attempt?, delayMs?, reason?, replayedMs?, droppedMs? }
+ * - recording       { part, layout, files, startSample, sampleRate }   (see lib/recorder.js)
+ * - playback        { inReplyTo, startSample, endSample, interrupted }
+ * - memory          { condensed, summary, pinned, tokens }   (see lib/memory.js)
+ * - budget          { level, meter?, window?, used?, limit? }   (see lib/budget.js)
+ * - agenda          { event, itemId?, title?, plannedMinutes?, spentMs?, ... }   (see lib/agenda.js)
+ * - tts_fallback    { from, to, reason }   (see lib/providers/tts-chain.js)
+ * - turn_metrics    { utteranceId, stagesMs, responseMs, spoke }   (see lib/metrics.js)
+ * - metrics         { <metric>: value | { count, sum } }        (totals, at shutdown)
+ * - input_end       {}                     (file/stdin audio input exhausted)
+ * - summary         { trigger, jsonPath, mdPath, counts }
+ * - session_end     { reason }
+ *
+ * With REDACT=on, string fields are scrubbed before they are written or
+ * emitted (see lib/redact.js).
+ *
+ * Bump SCHEMA_VERSION whenever an existing field changes meaning.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+export const SCHEMA_VERSION = 1;
+
+// e.g. 20260314-153012-a1b2c3 (UTC, sortable)
+export function createSessionId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+export function createSessionLog({
+  bridge,
+  dir = process.env.SESSION_LOG_DIR || 'sessions',
+  sessionId = process.env.SESSION_ID || createSessionId(),
+  redact = (fields) => fields
+} = {}) {
+  const log = new EventEmitter();
+  const filePath = path.join(dir, `${sessionId}.jsonl`);
+  let seq = 0;
+  let utteranceCount = 0;
+  let ended = false;
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+  } catch (err) {
+    console.error('⚠️ Could not create session log directory:', err.message);
+  }
+
+  // Append a record; write errors are reported but never thrown into the audio path
+  function record(type, fields = {}) {
+    const entry = {
+      v: SCHEMA_VERSION,
+      sessionId,
+      seq: ++seq,
+      ts: new Date().toISOString(),
+      bridge,
+      type,
+      ...redact(fields)
+    };
+    try {
+      fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+    } catch (err) {
+      console.error('⚠️ Could not write session log:', err.message);
+    }
+    log.emit('record', entry);
+    return entry;
+  }
+
+  function nextUtteranceId() {
+    return `u${++utteranceCount}`;
+  }
+
+  function end(reason) {
+    if (ended) return;
+    ended = true;
+    record('session_end', { reason });
+  }
+
+  return Object.assign(log, { sessionId, path: filePath, record, nextUtteranceId, end });
+}
@@ -0,0 +1,304 @@
+/**
+ * Session Manager: several meetings on one host, each with its own devices
+ *
+ * pa-setup.sh and join.sh assume one meeting per host (one VirtualMic /
+ * meeting-output pair, one Chrome profile, one debugging port). Each managed
+ * session instead gets:
+ *
+ * - its own null sinks and virtual source, loaded as PulseAudio modules next
+ *   to the default ones:  VirtualMic-<name>, VirtualMicSource-<name>,
+ *   meeting-output-<name>
+ * - a Chrome started with PULSE_SINK / PULSE_SOURCE pointing at them, its
+ *   own --user-data-dir and --remote-debugging-port
+ * - a bridge bound to the same devices, with its own CONTROL_PORT and
+ *   SESSION_ID (so its session log is <SESSION_LOG_DIR>/<SESSION_ID>.jsonl)
+ *
+ * Ports are allocated per slot (1, 2, ...), above the single-session
+ * defaults: debugging 18800 + slot, control 18900 + slot. Session state is
+ * one JSON file per session in MEETING_SESSIONS_DIR (default ./sessions/manager).
+ *
+ *   CHROME_AUDIO_BIN       Chrome wrapper (default ~/.local/bin/chrome-audio); the
+ *                          per-session flags are appended, and the last flag wins
+ *   CHROME_DEBUG_PORT_BASE Default 18800
+ *   CONTROL_PORT_BASE      Default 18900
+ *   SESSION_STOP_TIMEOUT_MS  How long stop waits for the bridge's summary (default 70000)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { spawn, execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { createSessionId } from './session-log.js';
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const BRIDGES = { hybrid: 'realtime-hybrid.js', realtime: 'realtime-bridge.js' };
+const SAMPLE_RATE = 24000;
+const REPO_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export function getSessionManagerConfig(env = process.env) {
+  return {
+    stateDir: env.MEETING_SESSIONS_DIR || path.join(env.SESSION_LOG_DIR || 'sessions', 'manager'),
+    chromeBin: env.CHROME_AUDIO_BIN || path.join(os.homedir(), '.local/bin/chrome-audio'),
+    debugPortBase: parseInt(env.CHROME_DEBUG_PORT_BASE || '18800'),
+    controlPortBase: parseInt(env.CONTROL_PORT_BASE || '18900'),
+    stopTimeoutMs: parseInt(env.SESSION_STOP_TIMEOUT_MS || '70000')
+  };
+}
+
+// A negative pid checks the whole process group
+export function isAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function pactl(...args) {
+  return execFileSync('pactl', args, { encoding: 'utf8' }).trim();
+}
+
+// Device names for a session; all derived from the session name
+export function deviceNames(name) {
+  return {
+    mic: `VirtualMic-${name}`,
+    micSource: `VirtualMicSource-${name}`,
+    meetingOutput: `meeting-output-${name}`
+  };
+}
+
+// Same devices as pa-setup.sh, with per-session names. Returns the module
+// indexes so stop can unload exactly these.
+function loadDevices(devices) {
+  const modules = [];
+  try {
+    modules.push(pactl('load-module', 'module-null-sink', `sink_name=${devices.mic}`,
+      `sink_properties=device.description="${devices.mic}"`, `rate=${SAMPLE_RATE}`, 'format=s16le', 'channels=2'));
+    modules.push(pactl('load-module', 'module-virtual-source', `source_name=${devices.micSource}`,
+      `master=${devices.mic}.monitor`, `source_properties=device.description="${devices.micSource}"`, `rate=${SAMPLE_RATE}`, 'format=s16le'));
+    modules.push(pactl('load-module', 'module-null-sink', `sink_name=${devices.meetingOutput}`,
+      `sink_properties=device.description="${devices.meetingOutput}"`, `rate=${SAMPLE_RATE}`, 'format=s16le', 'channels=2'));
+  } catch (err) {
+    unloadDevices(modules);
+    throw new Error(`Could not create PulseAudio devices: ${err.message}`);
+  }
+  return modules;
+}
+
+function unloadDevices(modules) {
+  for (const index of [...modules].reverse()) {
+    try {
+      pactl('unload-module', String(index));
+    } catch (err) {
+      // Already gone (e.g. PulseAudio was restarted)
+    }
+  }
+}
+
+function getJson(port, pathname, { token, timeoutMs = 2000 } = {}) {
+  return new Promise((resolve) => {
+    const headers = token ? { 'Authorization': `Bearer ${token}` } : {};
+    const req = http.get({ host: '127.0.0.1', port, path: pathname, headers, timeout: timeoutMs }, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(body));
+        } catch (err) {
+          resolve(null);
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy());
+    req.on('error', () => resolve(null));
+  });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function createSessionManager({ stateDir, chromeBin, debugPortBase = 18800, controlPortBase = 18900, stopTimeoutMs = 70000, env = process.env, bridgeDir = REPO_DIR }) {
+  fs.mkdirSync(stateDir, { recursive: true });
+
+  const statePath = (name) => path.join(stateDir, `${name}.json`);
+
+  function save(session) {
+    const tmp = `${statePath(session.name)}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(session, null, 2) + '\n');
+    fs.renameSync(tmp, statePath(session.name));
+  }
+
+  function load(name) {
+    if (!fs.existsSync(statePath(name))) {
+      throw new Error(`No session named "${name}"`);
+    }
+    return JSON.parse(fs.readFileSync(statePath(name), 'utf8'));
+  }
+
+  function list() {
+    return fs.readdirSync(stateDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => JSON.parse(fs.readFileSync(path.join(stateDir, file), 'utf8')))
+      .map(session => ({ ...session, bridgeAlive: isAlive(session.pids.bridge), chromeAlive: isAlive(session.pids.chrome) }))
+      .sort((a, b) => a.slot - b.slot);
+  }
+
+  function freeSlot(sessions) {
+    const used = new Set(sessions.map(session => session.slot));
+    let slot = 1;
+    while (used.has(slot)) slot++;
+    return slot;
+  }
+
+  // The child leads its own process group (pid = group id), so stop can
+  // signal everything it started
+  function spawnDetached(command, args, { env: childEnv, logPath }) {
+    const out = fs.openSync(logPath, 'a');
+    const child = spawn(command, args, { env: childEnv, detached: true, stdio: ['ignore', out, out] });
+    fs.closeSync(out);
+    // spawn() reports a missing or non-executable command as an 'error' event,
+    // which would otherwise crash the manager
+    child.on('error', (err) => {
+      fs.appendFileSync(logPath, `❌ Could not start ${command}: ${err.message}\n`);
+    });
+    if (!child.pid) throw new Error(`Could not start ${command} (see ${logPath})`);
+    child.unref();
+    return child.pid;
+  }
+
+  /**
+   * @param {object} options
+   * @param {string} options.url         Meeting URL
+   * @param {string} [options.name]      Session name (default meeting-<slot>)
+   * @param {string} [options.bridge]    'hybrid' (default) or 'realtime'
+   * @param {boolean} [options.chrome]   false to start only devices + bridge (browser joined elsewhere)
+   * @param {object} [options.extraEnv]  Extra bridge env, e.g. { PERSONA_FILE }
+   */
+  function start({ url, name, bridge = 'hybrid', chrome = true, extraEnv = {} }) {
+    if (!BRIDGES[bridge]) throw new Error(`Unknown bridge "${bridge}" (use hybrid or realtime)`);
+    if (chrome && !url) throw new Error('A meeting URL is required');
+    const sessions = list();
+    const slot = freeSlot(sessions);
+    name = name || `meeting-${slot}`;
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid session name "${name}" (lowercase letters, digits and dashes, up to 32 characters)`);
+    }
+    if (sessions.some(session => session.name === name)) {
+      throw new Error(`Session "${name}" already exists; stop it first`);
+    }
+    if (chrome) {
+      try {
+        fs.accessSync(chromeBin, fs.constants.X_OK);
+      } catch (err) {
+        throw new Error(`Chrome wrapper ${chromeBin} is missing or not executable (set CHROME_AUDIO_BIN, see SKILL.md)`);
+      }
+    }
+
+    const devices = deviceNames(name);
+    const session = {
+      name,
+      slot,
+      url: url || null,
+      bridge,
+      createdAt: new Date().toISOString(),
+      devices,
+      modules: loadDevices(devices),
+      ports: { debugging: debugPortBase + slot, control: controlPortBase + slot },
+      userDataDir: path.join(os.tmpdir(), `chrome-meeting-${name}`),
+      sessionId: `${name}-${createSessionId()}`,
+      sessionLogDir: path.resolve(env.SESSION_LOG_DIR || 'sessions'),
+      logPath: path.resolve(stateDir, `${name}.log`),
+      pids: { chrome: null, bridge: null }
+    };
+    save(session);
+
+    try {
+      if (chrome) {
+        session.pids.chrome = spawnDetached(chromeBin, [
+          `--user-data-dir=${session.userDataDir}`,
+          `--remote-debugging-port=${session.ports.debugging}`,
+          url
+        ], {
+          // Chrome's speaker output is what the bridge captures; its mic is the bot's voice
+          env: { ...env, PULSE_SINK: devices.meetingOutput, PULSE_SOURCE: devices.micSource },
+          logPath: session.logPath
+        });
+      }
+      session.pids.bridge = spawnDetached(process.execPath, [path.join(bridgeDir, BRIDGES[bridge])], {
+        env: {
+          ...env,
+          ...extraEnv,
+          INPUT_DEVICE: `${devices.meetingOutput}.monitor`,
+          OUTPUT_DEVICE: devices.mic,
+          CONTROL_PORT: String(session.ports.control),
+          CONTROL_SOCKET: '',
+          SESSION_ID: session.sessionId,
+          SESSION_LOG_DIR: session.sessionLogDir
+        },
+        logPath: session.logPath
+      });
+    } catch (err) {
+      stopProcesses(session);
+      unloadDevices(session.modules);
+      fs.rmSync(statePath(name), { force: true });
+      throw err;
+    }
+    save(session);
+    return session;
+  }
+
+  // Live details: process state plus the bridge's GET /state
+  async function inspect(name) {
+    const session = load(name);
+    const bridgeAlive = isAlive(session.pids.bridge);
+    return {
+      ...session,
+      bridgeAlive,
+      chromeAlive: isAlive(session.pids.chrome),
+      sessionLog: path.join(session.sessionLogDir, `${session.sessionId}.jsonl`),
+      state: bridgeAlive ? await getJson(session.ports.control, '/state', { token: env.CONTROL_TOKEN }) : null
+    };
+  }
+
+  // Chrome's whole process group gets the signal, since the wrapper's pid is
+  // only one of Chrome's processes. SIGTERM goes to the bridge alone: it stops
+  // its own audio processes and writes the summary; SIGKILL takes its group.
+  function stopProcesses(session, signal = 'SIGTERM') {
+    const targets = [
+      signal === 'SIGKILL' ? -session.pids.bridge : session.pids.bridge,
+      -session.pids.chrome
+    ];
+    for (const pid of targets) {
+      if (isAlive(pid)) {
+        try {
+          process.kill(pid, signal);
+        } catch (err) {
+          // Exited in the meantime
+        }
+      }
+    }
+  }
+
+  // SIGTERM lets the bridge write its summary and Chrome shut down cleanly;
+  // whichever process group is still around after stopTimeoutMs is killed
+  async function stop(name) {
+    const session = load(name);
+    stopProcesses(session);
+    const deadline = Date.now() + stopTimeoutMs;
+    const running = () => isAlive(-session.pids.bridge) || isAlive(-session.pids.chrome);
+    while (running() && Date.now() < deadline) {
+      await sleep(500);
+    }
+    const forced = running();
+    if (forced) stopProcesses(session, 'SIGKILL');
+    unloadDevices(session.modules);
+    // The Chrome profile (userDataDir) is kept, so a session restarted under the same name stays signed in
+    fs.rmSync(statePath(name), { force: true });
+    return { ...session, forced };
+  }
+
+  return { start, stop, list, inspect };
+}
@@ -0,0 +1,343 @@
+/**
+ * Speech normalizer: rewrite a reply the way it should be said, before TTS
+ *
+ * Replies are written for the screen: markdown, links, emoji, "$3.2M",
+ * "15%", "2026-10-19 at 15:30". normalize() turns them into plain speech:
+ * - markdown emphasis, headings, bullets, code marks and tables are stripped;
+ *   links keep their text, images their alt text
+ * - URLs and emails are spoken as their domain ("github dot com")
+ * - emoji are dropped
+ * - lexicon terms get their listed pronunciation (see below)
+ * - abbreviations are spelled out (lib/language.js)
+ * - currencies and percentages become words; in English also numbers,
+ *   ordinals, dates, times and units. Other languages leave digits to the voice.
+ *
+ *   SPEECH_NORMALIZE      on (default) | off: only abbreviations and the lexicon
+ *   SPEECH_LEXICON_FILE   JSON object mapping terms to how they are said, e.g.
+ *                         { "NVDA": "en-vidia",
+ *                           "Kubernetes": { "say": "koo-ber-net-eez", "ipa": "ˌkuːbɚˈnɛtiz" } }
+ *
+ * Lexicon terms match case-sensitively, as whole words. A string is spoken
+ * as written and may contain <break time="0.3s"/> pauses; "ipa" or "cmu"
+ * (ARPAbet) adds a <phoneme> hint. Hints stay tags in the normalized text:
+ * each TTS provider passes it through renderSpeechHints(), which keeps the
+ * tags it understands and reduces the rest to plain words.
+ */
+
+import fs from 'fs';
+import { expandAbbreviations } from './language.js';
+
+// Per-language words for the symbols every language gets spoken
+const SYMBOL_WORDS = {
+  en: { dot: 'dot', at: 'at', percent: 'percent', currencies: { '$': ['dollar', 'dollars'], '€': ['euro', 'euros'], '£': ['pound', 'pounds'], '¥': ['yen', 'yen'] } },
+  es: { dot: 'punto', at: 'arroba', percent: 'por ciento', currencies: { '$': ['dólar', 'dólares'], '€': ['euro', 'euros'], '£': ['libra', 'libras'], '¥': ['yen', 'yenes'] } },
+  de: { dot: 'Punkt', at: 'at', percent: 'Prozent', currencies: { '$': ['Dollar', 'Dollar'], '€': ['Euro', 'Euro'], '£': ['Pfund', 'Pfund'], '¥': ['Yen', 'Yen'] } }
+};
+
+// Subunits, for amounts like $1.50 in English
+const SUBUNITS = { '$': ['cent', 'cents'], '€': ['cent', 'cents'], '£': ['penny', 'pence'] };
+
+const SCALES = { k: 'thousand', thousand: 'thousand', m: 'million', mn: 'million', million: 'million', b: 'billion', bn: 'billion', billion: 'billion', t: 'trillion', trillion: 'trillion' };
+
+// Spoken in English after a number: [singular, plural]
+const UNITS = {
+  km: ['kilometer', 'kilometers'], cm: ['centimeter', 'centimeters'], mm: ['millimeter', 'millimeters'],
+  kg: ['kilogram', 'kilograms'], mg: ['milligram', 'milligrams'], lb: ['pound', 'pounds'], lbs: ['pound', 'pounds'],
+  mi: ['mile', 'miles'], ft: ['foot', 'feet'], mph: ['mile per hour', 'miles per hour'],
+  'km/h': ['kilometer per hour', 'kilometers per hour'], kph: ['kilometer per hour', 'kilometers per hour'],
+  ms: ['millisecond', 'milliseconds'], sec: ['second', 'seconds'], secs: ['second', 'seconds'],
+  min: ['minute', 'minutes'], mins: ['minute', 'minutes'], h: ['hour', 'hours'], hr: ['hour', 'hours'], hrs: ['hour', 'hours'],
+  KB: ['kilobyte', 'kilobytes'], MB: ['megabyte', 'megabytes'], GB: ['gigabyte', 'gigabytes'], TB: ['terabyte', 'terabytes'],
+  Mbps: ['megabit per second', 'megabits per second'], Gbps: ['gigabit per second', 'gigabits per second'],
+  MHz: ['megahertz', 'megahertz'], GHz: ['gigahertz', 'gigahertz'], kWh: ['kilowatt hour', 'kilowatt hours'],
+  '°C': ['degree Celsius', 'degrees Celsius'], '°F': ['degree Fahrenheit', 'degrees Fahrenheit'], '°': ['degree', 'degrees']
+};
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const MONTH_PATTERN = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+const monthName = (text) => MONTHS.find(month => month.startsWith(text.slice(0, 3)));
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven',
+  'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const GROUPS = ['', 'thousand', 'million', 'billion', 'trillion'];
+const ORDINALS = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+
+const TLDS = 'com|org|net|io|dev|ai|co|app|gov|edu|info|me|us|uk|de|es|eu';
+const URL_PATTERN = new RegExp(`\\b(?:https?://|www\\.)[^\\s<>()]*[^\\s<>().,;:!?'"]|\\b[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.(?:${TLDS})\\b(?:/[^\\s<>()]*[^\\s<>().,;:!?'"])?`, 'gi');
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const EMOJI = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{FE0F}\u{200D}\u{20E3}]/gu;
+const PHONEME_TAG = /<phoneme\b[^>]*>(.*?)<\/phoneme>/g;
+const BREAK_TAG = /\s*<break\b[^>]*\/>\s*/g;
+const PARKED_BASE = 0xF0000;
+const PARKED = /[\u{F0000}-\u{FFFFD}]/gu;
+
+// A number standing on its own: not part of a word, version or ID
+const NUMBER = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?';
+const ALONE_BEFORE = '(?<![\\p{L}\\d.,:/-])';
+const ALONE_AFTER = '(?![\\p{L}\\d]|[.,:/-]\\d)';
+
+function readLexicon(filePath) {
+  let lexicon;
+  try {
+    lexicon = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read SPEECH_LEXICON_FILE ${filePath}: ${err.message}`);
+  }
+  if (!lexicon || typeof lexicon !== 'object' || Array.isArray(lexicon)) {
+    throw new Error(`SPEECH_LEXICON_FILE ${filePath} must be a JSON object of term → pronunciation`);
+  }
+  for (const [term, entry] of Object.entries(lexicon)) {
+    const valid = typeof entry === 'string' || (entry && typeof entry === 'object'
+      && ['say', 'ipa', 'cmu'].some(key => typeof entry[key] === 'string')
+      && Object.values(entry).every(value => typeof value === 'string'));
+    if (!valid) {
+      throw new Error(`SPEECH_LEXICON_FILE: "${term}" must map to a string or { say, ipa, cmu }`);
+    }
+  }
+  return lexicon;
+}
+
+export function getSpeechConfig(env = process.env) {
+  const mode = env.SPEECH_NORMALIZE || 'on';
+  if (!['on', 'off'].includes(mode)) {
+    throw new Error(`Unknown SPEECH_NORMALIZE "${mode}" (use on or off)`);
+  }
+  return {
+    enabled: mode === 'on',
+    lexicon: env.SPEECH_LEXICON_FILE ? readLexicon(env.SPEECH_LEXICON_FILE) : {}
+  };
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const escapeAttribute = (text) => text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+// Lexicon entry → the text (and hint tags) to speak
+function lexiconSpeech(term, entry) {
+  if (typeof entry === 'string') return entry;
+  const spoken = entry.say || term;
+  if (entry.ipa) return `<phoneme alphabet="ipa" ph="${escapeAttribute(entry.ipa)}">${spoken}</phoneme>`;
+  if (entry.cmu) return `<phoneme alphabet="cmu-arpabet" ph="${escapeAttribute(entry.cmu)}">${spoken}</phoneme>`;
+  return spoken;
+}
+
+/**
+ * Keep the hint tags a TTS engine understands and reduce the others to
+ * plain words: a <phoneme> to its spelling, a <break/> to a space.
+ */
+export function renderSpeechHints(text, { phonemes = false, breaks = false } = {}) {
+  if (!text || !text.includes('<')) return text;
+  let result = text;
+  if (!phonemes) result = result.replace(PHONEME_TAG, '$1');
+  if (!breaks) result = result.replace(BREAK_TAG, ' ');
+  return result;
+}
+
+function stripMarkdown(text) {
+  return text
+    .replace(/```[^\n]*\n?([\s\S]*?)(?:```|$)/g, '$1')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^[ \t]*#{1,6}[ \t]+/gm, '')
+    .replace(/^[ \t]*>[ \t]?/gm, '')
+    .replace(/^[ \t]*(?:[-*+•]|\d{1,2}[.)])[ \t]+/gm, '')
+    // Tables: drop separator rows, cells become a list
+    .replace(/^[ \t]*\|?(?:[ \t]*:?-{3,}:?[ \t]*\|?)+[ \t]*$/gm, '')
+    .replace(/^[ \t]*\|(.*?)\|?[ \t]*$/gm, '$1')
+    .replace(/[ \t]*\|[ \t]*/g, ', ')
+    .replace(/(\*\*|__|~~)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+    .replace(/(?<![\w*])\*(?=\S)(.+?)(?<=\S)\*(?![\w*])/g, '$1')
+    .replace(/(?<!\w)_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    // Leftovers from a span split across sentences
+    .replace(/\*\*|__|~~|`/g, '');
+}
+
+// ---- English numbers ----
+
+function belowThousand(n) {
+  const words = [];
+  if (n >= 100) {
+    words.push(`${ONES[Math.floor(n / 100)]} hundred`);
+    n %= 100;
+  }
+  if (n >= 20) {
+    words.push(n % 10 ? `${TENS[Math.floor(n / 10)]}-${ONES[n % 10]}` : TENS[Math.floor(n / 10)]);
+  } else if (n > 0 || words.length === 0) {
+    words.push(ONES[n]);
+  }
+  return words.join(' ');
+}
+
+// Whole numbers up to the trillions; anything longer is read digit by digit
+function integerWords(digits) {
+  if (digits.length > 1 && digits.startsWith('0')) return digitWords(digits);
+  if (digits.length > 15) return digitWords(digits);
+  let n = Number(digits);
+  if (n === 0) return 'zero';
+  const words = [];
+  for (let group = 0; n > 0; group++) {
+    const part = n % 1000;
+    if (part) words.unshift(GROUPS[group] ? `${belowThousand(part)} ${GROUPS[group]}` : belowThousand(part));
+    n = Math.floor(n / 1000);
+  }
+  return words.join(' ');
+}
+
+const digitWords = (digits) => [...digits].map(digit => ONES[digit]).join(' ');
+
+// "1,234.56" → "one thousand two hundred thirty-four point five six"
+function numberWords(text) {
+  const [whole, fraction] = text.replace(/,/g, '').split('.');
+  const words = integerWords(whole);
+  return fraction ? `${words} point ${digitWords(fraction)}` : words;
+}
+
+function ordinalWords(n) {
+  const words = integerWords(String(n));
+  return words.replace(/(\w+)$/, (last) => ORDINALS[last] || (last.endsWith('y') ? `${last.slice(0, -1)}ieth` : `${last}th`));
+}
+
+function yearWords(year) {
+  if (year % 1000 < 10 || year < 1100) return integerWords(String(year));
+  const century = integerWords(String(Math.floor(year / 100)));
+  const rest = year % 100;
+  if (rest === 0) return `${century} hundred`;
+  return `${century} ${rest < 10 ? `oh ${ONES[rest]}` : belowThousand(rest)}`;
+}
+
+// 15:30 → "three thirty PM"; a bare 9:30 stays without AM / PM
+function timeWords(hours, minutes, meridiem) {
+  let suffix = meridiem ? (/^p/i.test(meridiem) ? 'PM' : 'AM') : '';
+  if (!suffix && (hours > 12 || hours === 0)) suffix = hours >= 12 && hours < 24 ? 'PM' : 'AM';
+  const hour = hours % 12 || 12;
+  let minuteWords = '';
+  if (minutes > 0) minuteWords = minutes < 10 ? ` oh ${ONES[minutes]}` : ` ${belowThousand(minutes)}`;
+  else if (!suffix) minuteWords = " o'clock";
+  return `${integerWords(String(hour))}${minuteWords}${suffix ? ` ${suffix}` : ''}`;
+}
+
+function dateWords(month, day, year) {
+  const date = `${month} ${ordinalWords(day)}`;
+  return year ? `${date}, ${yearWords(year)}` : date;
+}
+
+function speakEnglishNumbers(text) {
+  const currency = new RegExp(`([$€£¥])\\s?(${NUMBER})(?:\\s?(k|K|mn|m|M|bn|b|B|T|thousand|million|billion|trillion)\\b)?`, 'g');
+  const units = Object.keys(UNITS).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  return text
+    // Phone numbers and other digit groups: one digit at a time
+    .replace(/(?<![\w/.-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]\d{2,4}){1,4}(?![\w-])/g, (match) => {
+      const digits = match.replace(/\D/g, '');
+      if (digits.length < 7 || /^\d{4}-\d{2}-\d{2}$/.test(match)) return match;
+      return match.split(/[^\d+]+/).filter(Boolean).map(group => digitWords(group.replace('+', ''))).join(', ');
+    })
+    // Numbers that are dialed or typed in ("call 911", "code 4321"), too
+    .replace(new RegExp(`\\b(call|dial|phone|code|pin|passcode|extension|ext\\.|otp|zip)(:?\\s+(?:at\\s+|on\\s+)?)(\\d{2,6})${ALONE_AFTER}`, 'giu'),
+      (match, word, space, digits) => `${word}${space}${digitWords(digits)}`)
+    .replace(/\b(\d{4})-(\d{2})-(\d{2})\b/g, (match, year, month, day) => {
+      if (month < 1 || month > 12 || day < 1 || day > 31) return match;
+      return dateWords(MONTHS[month - 1], Number(day), Number(year));
+    })
+    .replace(new RegExp(`\\b${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'g'),
+      (match, month, day, year) => (day > 0 && day <= 31 ? dateWords(monthName(month), Number(day), year && Number(year)) : match))
+    .replace(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}\\b\\.?(?:,?\\s+(\\d{4}))?`, 'g'),
+      (match, day, month, year) => {
+        if (day < 1 || day > 31) return match;
+        const date = `the ${ordinalWords(Number(day))} of ${monthName(month)}`;
+        return year ? `${date}, ${yearWords(Number(year))}` : date;
+      })
+    .replace(/\b(in|since|by|until|from|of|during|before|after|through|year)(\s+)(1[1-9]\d\d|20\d\d)\b(?![.,:/-]\d)/gi,
+      (match, word, space, year) => `${word}${space}${yearWords(Number(year))}`)
+    // "a.m." → "am", keeping the dot only where it also ends the sentence
+    .replace(/\b([aApP])\.[mM]\.(?=\s+[a-z0-9])/g, '$1m')
+    .replace(/\b([ap])\.m\./gi, '$1m.')
+    .replace(/\b([01]?\d|2[0-4]):([0-5]\d)(?::[0-5]\d)?(?:\s?([ap]m)\b)?(?![\d:])/gi,
+      (match, hours, minutes, meridiem) => timeWords(Number(hours), Number(minutes), meridiem))
+    .replace(/\b(1[0-2]|0?[1-9])\s?([ap]m)\b/gi, (match, hours, meridiem) => timeWords(Number(hours), 0, meridiem))
+    .replace(currency, (match, symbol, amount, scale) => {
+      const [singular, plural] = SYMBOL_WORDS.en.currencies[symbol];
+      if (scale) return `${numberWords(amount)} ${SCALES[scale.toLowerCase()]} ${plural}`;
+      const [whole, fraction = ''] = amount.replace(/,/g, '').split('.');
+      const subunit = SUBUNITS[symbol];
+      const mainWords = `${integerWords(whole)} ${whole === '1' ? singular : plural}`;
+      if (!fraction || /^0+$/.test(fraction)) return mainWords;
+      if (!subunit || fraction.length > 2) return `${numberWords(amount)} ${plural}`;
+      const cents = Number(fraction.padEnd(2, '0'));
+      const centWords = `${integerWords(String(cents))} ${cents === 1 ? subunit[0] : subunit[1]}`;
+      return whole === '0' ? centWords : `${mainWords} and ${centWords}`;
+    })
+    .replace(new RegExp(`(${NUMBER})\\s?([€£¥])`, 'g'), (match, amount, symbol) => {
+      const [singular, plural] = SYMBOL_WORDS.en.currencies[symbol];
+      return `${numberWords(amount)} ${amount === '1' ? singular : plural}`;
+    })
+    .replace(new RegExp(`(${NUMBER})\\s?%`, 'g'), (match, amount) => `${numberWords(amount)} percent`)
+    .replace(new RegExp(`${ALONE_BEFORE}(${NUMBER})\\s?(${units})(?![\\p{L}\\d])`, 'gu'),
+      (match, amount, unit) => `${numberWords(amount)} ${UNITS[unit][amount === '1' ? 0 : 1]}`)
+    .replace(new RegExp(`${ALONE_BEFORE}(${NUMBER})x\\b`, 'gu'), (match, n) => `${numberWords(n)} times`)
+    .replace(/(\d)\s?–\s?(?=\d)/g, '$1 to ')
+    .replace(/\b(\d+)(st|nd|rd|th)\b/g, (match, n) => ordinalWords(Number(n)))
+    .replace(new RegExp(`(?<![\\p{L}\\d.,:/-])-(?=\\d)`, 'gu'), 'minus ')
+    .replace(new RegExp(`${ALONE_BEFORE}(${NUMBER})${ALONE_AFTER}`, 'gu'), (match, n) => numberWords(n))
+    .replace(/\s&\s/g, ' and ')
+    .replace(/\be\.g\./gi, 'for example')
+    .replace(/\bi\.e\./gi, 'that is')
+    .replace(/\betc\./gi, 'et cetera')
+    .replace(/\bvs\.?(?=\s)/gi, 'versus');
+}
+
+/**
+ * @param {object} [options]
+ * @param {boolean} [options.enabled]  false: only abbreviations and the lexicon
+ * @param {object} [options.lexicon]   term → "spoken form" or { say, ipa, cmu }
+ */
+export function createSpeechNormalizer({ enabled = true, lexicon = {} } = {}) {
+  const entries = Object.entries(lexicon);
+  // Longest first, so "GPT-4o mini" wins over "GPT-4o"
+  const lexiconPattern = entries.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${entries.map(([term]) => term).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'gu')
+    : null;
+  const spoken = new Map(entries.map(([term, entry]) => [term, lexiconSpeech(term, entry)]));
+
+  function normalize(text, language = 'en') {
+    if (!text) return text;
+    const words = SYMBOL_WORDS[language] || SYMBOL_WORDS.en;
+    // Finished speech (domains, lexicon entries) is parked behind a private-use
+    // character, so later rules leave it alone
+    const parked = [];
+    const park = (speech) => String.fromCodePoint(PARKED_BASE + parked.push(speech) - 1);
+    const spokenDomain = (address) => address.toLowerCase().split('.').join(` ${words.dot} `);
+
+    let result = text;
+    if (enabled) {
+      result = stripMarkdown(result)
+        .replace(EMAIL_PATTERN, (email) => {
+          const [user, domain] = email.split('@');
+          return park(`${user.split('.').join(` ${words.dot} `)} ${words.at} ${spokenDomain(domain)}`);
+        })
+        .replace(URL_PATTERN, (url) => park(spokenDomain(url.replace(/^https?:\/\//i, '').replace(/^www\./i, '').split(/[/?#:]/)[0])))
+        .replace(EMOJI, '');
+    }
+    if (lexiconPattern) result = result.replace(lexiconPattern, (term) => park(spoken.get(term)));
+    result = expandAbbreviations(result, language);
+    if (enabled) {
+      if (language === 'en') {
+        result = speakEnglishNumbers(result);
+      } else {
+        result = result
+          .replace(new RegExp(`([$€£¥])\\s?(${NUMBER})`, 'g'), (match, symbol, amount) => `${amount} ${words.currencies[symbol][amount === '1' ? 0 : 1]}`)
+          .replace(new RegExp(`(${NUMBER})\\s?([$€£¥])`, 'g'), (match, amount, symbol) => `${amount} ${words.currencies[symbol][amount === '1' ? 0 : 1]}`);
+      }
+      result = result
+        .replace(/(\d)\s?%/g, `$1 ${words.percent}`)
+        .replace(/[ \t]{2,}/g, ' ')
+        .replace(/[ \t]+([,.!?;:])/g, '$1')
+        .replace(/^[ \t]+|[ \t]+$/gm, '')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+    }
+    return result.replace(PARKED, (mark) => parked[mark.codePointAt(0) - PARKED_BASE]);
+  }
+
+  return { normalize, terms: entries.length };
+}
@@ -0,0 +1,232 @@
+/**
+ * Summarizer: post-meeting report from a session log
+ *
+ * Reads <sessionId>.jsonl, asks the LLM provider for a structured report and
+ * writes <sessionId>.summary.json and <sessionId>.summary.md next to it.
+ *
+ * Report shape:
+ *   { sessionId, generatedAt, startedAt, endedAt, summary,
+ *     decisions:      [{ text, sources }],
+ *     notes:          [{ text, sources }],
+ *     action_items:   [{ text, owner, due, sources }],
+ *     deferred_tasks: [{ type, text, sources }],
+ *     utterances:     { [utteranceId]: { ts, text } }   (only the cited ones) }
+ *
+ * `sources` are utterance IDs from the session log, so every item can be
+ * traced back to what was actually said.
+ */
+
+import fs from 'fs';
+
+const DEFERRED_TYPES = ['schedule', 'email', 'reminder', 'follow_up', 'other'];
+
+export function readSessionLog(logPath) {
+  return fs.readFileSync(logPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// One line per utterance/reply/tool call, prefixed with the utterance ID it belongs to
+export function buildTranscript(records, agentName) {
+  const lines = [];
+  for (const r of records) {
+    if (r.type === 'utterance') {
+      lines.push(`[${r.utteranceId}] Participant: ${r.text}`);
+    } else if (r.type === 'reply') {
+      lines.push(`[${r.inReplyTo || '-'}] ${agentName}: ${r.text}`);
+    } else if (r.type === 'tool_call') {
+      lines.push(`[${r.inReplyTo || '-'}] (${agentName} used ${r.name} ${JSON.stringify(r.arguments || {})})`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function buildPrompt(agentName) {
+  return `You write post-meeting reports from a transcript. An AI assistant named ${agentName} took part in the meeting.
+Each transcript line starts with the ID of the participant utterance it belongs to, like [u12].
+
+Return a JSON object with exactly these keys:
+- "summary": 2-5 sentence overview of the meeting.
+- "decisions": array of { "text", "sources" } — things the group agreed on.
+- "notes": array of { "text", "sources" } — facts someone asked to be noted or that matter later.
+- "action_items": array of { "text", "owner", "due", "sources" } — tasks for people. owner and due are strings or null.
+- "deferred_tasks": array of { "type", "text", "sources" } — things ${agentName} accepted to do after the call.
+  type is one of: ${DEFERRED_TYPES.join(', ')}.
+
+"sources" is an array of utterance IDs (e.g. ["u12", "u13"]) the item came from.
+Items ${agentName} recorded with record_note, add_action_item or defer_task are confirmed; always include them.
+Only include items actually supported by the transcript. Use empty arrays when there are none.`;
+}
+
+// Keep only well-formed items and sources that exist in this session
+function cleanItems(items, knownIds, extraFields) {
+  if (!Array.isArray(items)) return [];
+  return items
+    .filter(item => item && typeof item.text === 'string' && item.text.trim())
+    .map(item => {
+      const cleaned = { text: item.text.trim() };
+      for (const [field, normalize] of Object.entries(extraFields)) {
+        cleaned[field] = normalize(item[field]);
+      }
+      cleaned.sources = (Array.isArray(item.sources) ? item.sources : [])
+        .map(String)
+        .filter(id => knownIds.has(id));
+      return cleaned;
+    });
+}
+
+const optionalString = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+export async function summarizeSession({ records, llm, agentName = 'Claw' }) {
+  const utterances = new Map();
+  for (const r of records) {
+    if (r.type === 'utterance') utterances.set(r.utteranceId, { ts: r.ts, text: r.text });
+  }
+
+  const start = records.find(r => r.type === 'session_start');
+  const end = [...records].reverse().find(r => r.type === 'session_end');
+  const report = {
+    sessionId: records[0]?.sessionId || null,
+    generatedAt: new Date().toISOString(),
+    startedAt: start?.ts || records[0]?.ts || null,
+    endedAt: end?.ts || records[records.length - 1]?.ts || null,
+    summary: '',
+    decisions: [],
+    notes: [],
+    action_items: [],
+    deferred_tasks: [],
+    utterances: {}
+  };
+
+  if (utterances.size === 0) {
+    report.summary = 'Nothing was said during this session.';
+    return report;
+  }
+
+  const result = await llm.complete({
+    messages: [
+      { role: 'system', content: buildPrompt(agentName) },
+      { role: 'user', content: buildTranscript(records, agentName) }
+    ],
+    maxTokens: 2000,
+    temperature: 0.2,
+    responseFormat: 'json'
+  });
+
+  let parsed;
+  try {
+    parsed = JSON.parse(result.content || '{}');
+  } catch (e) {
+    throw new Error('Summary model did not return valid JSON');
+  }
+
+  const knownIds = new Set(utterances.keys());
+  report.summary = typeof parsed.summary === 'string' ? parsed.summary.trim() : '';
+  report.decisions = cleanItems(parsed.decisions, knownIds, {});
+  report.notes = cleanItems(parsed.notes, knownIds, {});
+  report.action_items = cleanItems(parsed.action_items, knownIds, { owner: optionalString, due: optionalString });
+  report.deferred_tasks = cleanItems(parsed.deferred_tasks, knownIds, {
+    type: (value) => (DEFERRED_TYPES.includes(value) ? value : 'other')
+  });
+
+  // Resolve cited utterances so the report stands on its own
+  for (const key of ['decisions', 'notes', 'action_items', 'deferred_tasks']) {
+    for (const item of report[key]) {
+      for (const id of item.sources) report.utterances[id] = utterances.get(id);
+    }
+  }
+
+  return report;
+}
+
+function cite(sources) {
+  return sources.length > 0 ? ` _(${sources.join(', ')})_` : '';
+}
+
+export function renderMarkdown(report) {
+  const lines = [`# Meeting summary — ${report.sessionId}`, ''];
+  if (report.startedAt) {
+    lines.push(`_${report.startedAt} – ${report.endedAt}_`, '');
+  }
+  lines.push('## Summary', '', report.summary || '_No summary._', '');
+
+  const section = (title, items, format) => {
+    lines.push(`## ${title}`, '');
+    if (items.length === 0) lines.push('_None._');
+    for (const item of items) lines.push(format(item));
+    lines.push('');
+  };
+
+  section('Decisions', report.decisions, (d) => `- ${d.text}${cite(d.sources)}`);
+  section('Notes', report.notes, (n) => `- ${n.text}${cite(n.sources)}`);
+  section('Action items', report.action_items, (a) => {
+    const meta = [a.owner && `**${a.owner}**`, a.due && `due ${a.due}`].filter(Boolean).join(', ');
+    return `- [ ] ${a.text}${meta ? ` — ${meta}` : ''}${cite(a.sources)}`;
+  });
+  section('Deferred tasks', report.deferred_tasks, (t) => `- **${t.type}**: ${t.text}${cite(t.sources)}`);
+
+  const cited = Object.entries(report.utterances);
+  if (cited.length > 0) {
+    lines.push('## Sources', '');
+    for (const [id, u] of cited) lines.push(`- **${id}** (${u.ts}): "${u.text}"`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+// Summarize a session log file and write the .summary.json / .summary.md pair
+export async function summarizeSessionFile({ logPath, llm, agentName }) {
+  const records = readSessionLog(logPath);
+  const report = await summarizeSession({ records, llm, agentName });
+  const base = logPath.replace(/\.jsonl$/, '');
+  const jsonPath = `${base}.summary.json`;
+  const mdPath = `${base}.summary.md`;
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2) + '\n');
+  fs.writeFileSync(mdPath, renderMarkdown(report));
+  return { report, jsonPath, mdPath };
+}
+
+// Single-flight summarizer for a running bridge; outcomes go to the session log
+export function createSessionSummarizer({ sessionLog, llm, agentName }) {
+  let inFlight = null;
+
+  function run(trigger) {
+    if (inFlight) return inFlight;
+    console.log('📋 Writing meeting summary...');
+    inFlight = summarizeSessionFile({ logPath: sessionLog.path, llm, agentName })
+      .then(({ report, jsonPath, mdPath }) => {
+        console.log(`📋 Summary written to ${mdPath}`);
+        sessionLog.record('summary', {
+          trigger,
+          jsonPath,
+          mdPath,
+          counts: {
+            decisions: report.decisions.length,
+            notes: report.notes.length,
+            actionItems: report.action_items.length,
+            deferredTasks: report.deferred_tasks.length
+          }
+        });
+        return { jsonPath, mdPath };
+      })
+      .catch((err) => {
+        console.error('❌ Summary error:', err.message);
+        sessionLog.record('error', { source: 'summary', message: err.message });
+        return null;
+      })
+      .finally(() => {
+        inFlight = null;
+      });
+    return inFlight;
+  }
+
+  return { run };
+}
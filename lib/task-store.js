@@ -0,0 +1,112 @@
+/**
+ * Task Store: notes, action items and deferred tasks captured during a session
+ *
+ * Filled by the record_note / add_action_item / defer_task tools, so the
+ * parent agent gets structured data instead of parsing free text. The store
+ * is rewritten to <SESSION_LOG_DIR>/<sessionId>.tasks.json after every change
+ * and each new item is also logged as a `task` record in the session log.
+ *
+ * File shape:
+ *   { sessionId, updatedAt, notes: [], action_items: [], deferred_tasks: [] }
+ *
+ * Items (all carry { id, ts, utteranceId, source }):
+ * - note           { text }
+ * - action_item    { text, assignee, due }
+ * - deferred_task  { type, description, status, when, attendees, recipients, subject, duration_minutes }
+ *                  type is schedule | email | reminder; status starts as 'pending'
+ */
+
+import fs from 'fs';
+
+export const DEFERRED_TASK_TYPES = ['schedule', 'email', 'reminder'];
+
+const KINDS = {
+  note: { list: 'notes', prefix: 'n' },
+  action_item: { list: 'action_items', prefix: 'a' },
+  deferred_task: { list: 'deferred_tasks', prefix: 'd' }
+};
+
+const optionalString = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+const stringList = (value) => (Array.isArray(value) ? value.map(optionalString).filter(Boolean) : []);
+
+function requireText(value, field) {
+  const text = optionalString(value);
+  if (!text) throw new Error(`"${field}" is required`);
+  return text;
+}
+
+// `redact` scrubs the file on disk (REDACT, see lib/redact.js); toJSON() keeps what was said
+export function createTaskStore({ sessionLog, redact = (value) => value }) {
+  const filePath = sessionLog.path.replace(/\.jsonl$/, '.tasks.json');
+  const data = { notes: [], action_items: [], deferred_tasks: [] };
+  const counters = { note: 0, action_item: 0, deferred_task: 0 };
+
+  function add(kind, fields, { utteranceId = null, source = 'voice' } = {}) {
+    const { list, prefix } = KINDS[kind];
+    const item = {
+      id: `${prefix}${++counters[kind]}`,
+      ts: new Date().toISOString(),
+      utteranceId,
+      source,
+      ...fields
+    };
+    data[list].push(item);
+    sessionLog.record('task', { kind, ...item });
+    save();
+    return item;
+  }
+
+  function addNote({ text }, meta) {
+    return add('note', { text: requireText(text, 'text') }, meta);
+  }
+
+  function addActionItem({ text, assignee, due_date }, meta) {
+    return add('action_item', {
+      text: requireText(text, 'text'),
+      assignee: optionalString(assignee),
+      due: optionalString(due_date)
+    }, meta);
+  }
+
+  function deferTask({ type, description, when, attendees, recipients, subject, duration_minutes }, meta) {
+    if (!DEFERRED_TASK_TYPES.includes(type)) {
+      throw new Error(`"type" must be one of ${DEFERRED_TASK_TYPES.join(', ')}`);
+    }
+    return add('deferred_task', {
+      type,
+      description: requireText(description, 'description'),
+      status: 'pending',
+      when: optionalString(when),
+      attendees: stringList(attendees),
+      recipients: stringList(recipients),
+      subject: optionalString(subject),
+      duration_minutes: Number.isInteger(duration_minutes) && duration_minutes > 0 ? duration_minutes : null
+    }, meta);
+  }
+
+  function toJSON() {
+    return { sessionId: sessionLog.sessionId, updatedAt: new Date().toISOString(), ...data };
+  }
+
+  function counts() {
+    return {
+      notes: data.notes.length,
+      actionItems: data.action_items.length,
+      deferredTasks: data.deferred_tasks.length
+    };
+  }
+
+  // Write to a temp file and rename, so readers never see a half-written store
+  function save() {
+    const tmpPath = `${filePath}.tmp`;
+    try {
+      fs.writeFileSync(tmpPath, JSON.stringify(redact(toJSON()), null, 2) + '\n');
+      fs.renameSync(tmpPath, filePath);
+    } catch (err) {
+      console.error('⚠️ Could not write task store:', err.message);
+    }
+  }
+
+  return { path: filePath, addNote, addActionItem, deferTask, toJSON, counts };
+}
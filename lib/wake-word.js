@@ -0,0 +1,103 @@
+/**
+ * Wake Word: local "was the bot addressed?" filter
+ *
+ * Runs before the chat model so ordinary meeting chatter doesn't cost a
+ * completion. An utterance passes when it contains the agent name or an
+ * alias, allowing small transcription errors ("Clow" for "Claw"), or when it
+ * arrives while the conversation is still open: while the bot is speaking
+ * or within windowMs after it last spoke.
+ *
+ * The model still decides whether to answer an utterance that passes, so
+ * the match is deliberately lenient: a false positive costs one completion,
+ * a false negative ignores a participant.
+ */
+
+// Edits allowed per name word: none for very short names, then one per four letters
+export function maxEditsFor(word) {
+  if (word.length <= 3) return 0;
+  return Math.min(2, Math.floor(word.length / 4));
+}
+
+export function normalizeWords(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}']+/u)
+    .map(word => word.replace(/'s$|'/g, ''))
+    .filter(Boolean);
+}
+
+// Mis-hearings rarely change the first sound ("law" is not "Claw"; "Klaw" is)
+function sameOnset(word, nameWord) {
+  const onset = (w) => w[0].replace('k', 'c');
+  return onset(word) === onset(nameWord);
+}
+
+export function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(
+        prev[j] + 1,
+        curr[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Find the first name/alias in `text`; multi-word names match word by word
+export function findWakeWord(text, names) {
+  const words = normalizeWords(text);
+  for (const name of names) {
+    const nameWords = normalizeWords(name);
+    if (nameWords.length === 0) continue;
+    for (let i = 0; i + nameWords.length <= words.length; i++) {
+      const matches = nameWords.every((nameWord, k) => words[i + k] === nameWord ||
+        (sameOnset(words[i + k], nameWord) && editDistance(words[i + k], nameWord) <= maxEditsFor(nameWord)));
+      if (matches) return { name, heard: words.slice(i, i + nameWords.length).join(' ') };
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {object} options
+ * @param {string[]} options.names     Agent name first, then aliases
+ * @param {number} [options.windowMs]  How long the conversation stays open after the bot speaks
+ * @param {boolean} [options.enabled]  false lets everything through (the model decides)
+ */
+export function createWakeWordGate({ names, windowMs = 10000, enabled = true }) {
+  let openUntil = 0;
+
+  // Returns 'name', 'window', 'gate_off' (gate disabled) or null (not addressed)
+  function check(text, { botSpeaking = false } = {}) {
+    if (!enabled) return 'gate_off';
+    if (findWakeWord(text, names)) return 'name';
+    if (botSpeaking || Date.now() < openUntil) return 'window';
+    return null;
+  }
+
+  // Call when the bot finishes speaking
+  function keepOpen() {
+    openUntil = Date.now() + windowMs;
+  }
+
+  return { names, windowMs, enabled, check, keepOpen };
+}
+
+// WAKE_WORDS (comma-separated) replaces the defaults; WAKE_GATE=off disables the gate
+export function getWakeWordConfig(env = process.env, defaultNames = []) {
+  const names = env.WAKE_WORDS
+    ? env.WAKE_WORDS.split(',').map(name => name.trim()).filter(Boolean)
+    : defaultNames;
+  return {
+    names,
+    windowMs: parseInt(env.WAKE_WINDOW_MS || '10000'),
+    enabled: env.WAKE_GATE !== 'off'
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * Web Search: Exa search for the web_search meeting tool
+ *
+ *   EXA_API_KEY   Required for search; without it web_search answers "not configured"
+ *
+ * Results are trimmed to { title, snippet, url } so they fit in a prompt.
+ */
+
+import https from 'https';
+import { Buffer } from 'buffer';
+
+export async function searchExa(query, { apiKey, count = 3 }) {
+  return new Promise((resolve, reject) => {
+    const postData = JSON.stringify({
+      query: query,
+      numResults: count,
+      type: 'auto',
+      userLocation: 'CA',
+      contents: {
+        summary: {
+          query: query
+        }
+      }
+    });
+
+    const req = https.request({
+      hostname: 'api.exa.ai',
+      path: '/search',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'Content-Length': Buffer.byteLength(postData)
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        try {
+          const json = JSON.parse(data);
+          if (json.error) {
+            reject(new Error(json.error));
+            return;
+          }
+          const results = (json.results || []).slice(0, count).map(r => ({
+            title: r.title || '',
+            snippet: r.summary || r.text || '',
+            url: r.url || ''
+          }));
+          resolve(results);
+        } catch (e) {
+          reject(e);
+        }
+      });
+    });
+    req.on('error', reject);
+    req.write(postData);
+    req.end();
+  });
+}
@@ -3,130 +3,392 @@
  * OpenAI Realtime API Bridge for Teams/Zoom Meetings
  * 
  * Captures audio from PulseAudio sink (meeting output), streams to OpenAI Realtime,
- * and plays responses back to virtual mic.
+ * and plays responses back to virtual mic. Meeting tools (leave, mute, pause,
+ * web search, notes) run through the same lib/meeting-tools.js runner as the
+ * hybrid bridge, and the same control API is served.
  * 
  * Usage: node realtime-bridge.js [--voice marin] [--instructions "Be helpful"]
  */
 
-import WebSocket from 'ws';
-import { spawn } from 'child_process';
 import { Buffer } from 'buffer';
+import { createSessionLog } from './lib/session-log.js';
+import { createRealtimeConnection } from './lib/realtime-connection.js';
+import { createLLM } from './lib/providers/index.js';
+import { createSessionSummarizer } from './lib/summarizer.js';
+import { startControlServer, getControlServerConfig } from './lib/control-server.js';
+import { createTaskStore } from './lib/task-store.js';
+import { loadPersona, buildSystemPrompt } from './lib/persona.js';
+import { buildMeetingTools, toRealtimeTools, createToolRunner } from './lib/meeting-tools.js';
+import { searchExa } from './lib/web-search.js';
+import { createRecorder, getRecordingConfig } from './lib/recorder.js';
+import { createEchoGuard, getEchoGuardConfig } from './lib/echo-guard.js';
+import { createLiveFeed, getLiveViewConfig } from './lib/live-view.js';
+import { createBudget, getBudgetConfig, describeBudget } from './lib/budget.js';
+import { createLanguageTracker, getLanguageConfig, multilingualRule } from './lib/language.js';
+import { createAgenda, getAgendaConfig } from './lib/agenda.js';
+import { createRedactor, getRedactionConfig } from './lib/redact.js';
+import { createAudioSource, createAudioSink, describeAudioSpec, reserveStdoutIfNeeded } from './lib/audio-io.js';
 
 // Config
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const MODEL = 'gpt-4o-realtime-preview';
+const EXA_API_KEY = process.env.EXA_API_KEY;
+
+// Persona (see lib/persona.js); --voice and --instructions still win
+let persona, languageConfig, agendaConfig;
+try {
+  persona = loadPersona();
+  // Languages spoken in the meeting (see lib/language.js); the model answers in each one itself
+  languageConfig = getLanguageConfig();
+  // Facilitator mode: time-boxed agenda from AGENDA_FILE (see lib/agenda.js)
+  agendaConfig = getAgendaConfig();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
 const VOICE = process.argv.includes('--voice') 
   ? process.argv[process.argv.indexOf('--voice') + 1] 
-  : 'marin';
-const INSTRUCTIONS = process.argv.includes('--instructions')
-  ? process.argv[process.argv.indexOf('--instructions') + 1]
-  : (process.env.SYSTEM_PROMPT || 'You are an AI assistant in a meeting. Be concise and professional.');
+  : persona.realtimeVoice;
+// --instructions / SYSTEM_PROMPT replace only the persona part; the meeting rules are always kept
+const languages = createLanguageTracker(languageConfig);
+const INSTRUCTIONS = [
+  buildSystemPrompt(persona, {
+    override: process.argv.includes('--instructions')
+      ? process.argv[process.argv.indexOf('--instructions') + 1]
+      : process.env.SYSTEM_PROMPT
+  }),
+  ...(languages.multilingual ? [multilingualRule(languages.languages)] : [])
+].join('\n\n');
+const MEETING_TOOLS = toRealtimeTools(buildMeetingTools(persona, { agenda: Boolean(agendaConfig) }));
+const LOW_BUDGET_HINT = 'Your usage budget for this meeting is running low: answer in one short sentence.';
 
 // Audio config - OpenAI Realtime uses 24kHz mono PCM16
 const SAMPLE_RATE = parseInt(process.env.SAMPLE_RATE || '24000');
 const INPUT_DEVICE = process.env.INPUT_DEVICE || 'meeting-output.monitor';
 const OUTPUT_DEVICE = process.env.OUTPUT_DEVICE || 'VirtualMic';
 
+// Audio backends (see lib/audio-io.js): pulse, file:<path>, stdin / stdout, null
+const AUDIO_INPUT = process.env.AUDIO_INPUT || 'pulse';
+const AUDIO_OUTPUT = process.env.AUDIO_OUTPUT || 'pulse';
+const INPUT_END_GRACE_MS = parseInt(process.env.INPUT_END_GRACE_MS || '5000');
+reserveStdoutIfNeeded(AUDIO_OUTPUT);
+
+// Barge-in: stop talking when a participant starts speaking over the bot
+const BARGE_IN = process.env.BARGE_IN !== 'off';
+
+// Post-meeting summary on exit (see lib/summarizer.js); uses the LLM_* provider settings
+const SUMMARY_ON_EXIT = process.env.SUMMARY_ON_EXIT !== 'off';
+const SUMMARY_TIMEOUT_MS = parseInt(process.env.SUMMARY_TIMEOUT_MS || '60000');
+
 if (!OPENAI_API_KEY) {
   console.error('❌ OPENAI_API_KEY not set');
   process.exit(1);
 }
 
+let audioSource, audioSink, recordingConfig, echoGuard, budgetConfig, redactionConfig, controlConfig;
+try {
+  audioSource = createAudioSource({ spec: AUDIO_INPUT, device: INPUT_DEVICE, sampleRate: SAMPLE_RATE });
+  audioSink = createAudioSink({ spec: AUDIO_OUTPUT, device: OUTPUT_DEVICE });
+  // Meeting + bot audio to WAV (see lib/recorder.js); RECORD=off by default
+  recordingConfig = getRecordingConfig();
+  // Don't hear our own voice echoed back by the meeting client (see lib/echo-guard.js)
+  echoGuard = createEchoGuard(getEchoGuardConfig());
+  // Token and search caps (see lib/budget.js); TTS characters don't apply, the model speaks itself
+  budgetConfig = getBudgetConfig();
+  // Emails, phone and card numbers, listed names out of logs and search queries (see lib/redact.js)
+  redactionConfig = getRedactionConfig();
+  // Local HTTP control API (see lib/control-server.js); off with CONTROL_PORT=off
+  controlConfig = getControlServerConfig();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
 console.log('🚀 OpenAI Realtime Bridge starting...');
+console.log(`   Persona: ${persona.name}`);
 console.log(`   Voice: ${VOICE}`);
-console.log(`   Input: ${INPUT_DEVICE}`);
-console.log(`   Output: ${OUTPUT_DEVICE}`);
-
-// Connect to OpenAI Realtime API
-const ws = new WebSocket(`wss://api.openai.com/v1/realtime?model=${MODEL}`, {
-  headers: {
-    'Authorization': `Bearer ${OPENAI_API_KEY}`,
-    'OpenAI-Beta': 'realtime=v1'
-  }
+console.log(`   Input: ${describeAudioSpec(AUDIO_INPUT, INPUT_DEVICE)}`);
+console.log(`   Output: ${describeAudioSpec(AUDIO_OUTPUT, OUTPUT_DEVICE)}`);
+if (recordingConfig) console.log(`   Recording: ${recordingConfig.layout} → ${recordingConfig.dir}`);
+console.log('   Controls: leave, mute, pause via voice');
+console.log(`   Echo guard: ${echoGuard.mode}`);
+console.log(`   Budget: ${describeBudget(budgetConfig)}`);
+console.log(languages.multilingual
+  ? `   Languages: ${languages.languages.join(', ')} (detected per utterance)`
+  : `   Language: ${languages.current}`);
+if (agendaConfig) console.log(`   Agenda: ${agendaConfig.items.length} items from ${agendaConfig.path}${agendaConfig.track ? '' : ' (tracked by tool only)'}`);
+
+const redactor = createRedactor(redactionConfig);
+if (redactor.enabled) {
+  console.log(`   Redaction: logs and search queries${redactionConfig.llm ? ', summary completions' : ''}${redactionConfig.terms.length > 0 ? `, ${redactionConfig.terms.length} listed term${redactionConfig.terms.length === 1 ? '' : 's'}` : ''}`);
+}
+
+// Structured transcript/event log (one JSONL file per session)
+const sessionLog = createSessionLog({ bridge: 'realtime', redact: redactor.redactDeep });
+// Live captions for GET / and GET /live on the control server (see lib/live-view.js)
+const liveFeed = createLiveFeed({ sessionLog, ...getLiveViewConfig(), redact: redactor.redact });
+sessionLog.record('session_start', {
+  config: { input: describeAudioSpec(AUDIO_INPUT, INPUT_DEVICE), output: describeAudioSpec(AUDIO_OUTPUT, OUTPUT_DEVICE), sampleRate: SAMPLE_RATE, voice: VOICE, model: MODEL, persona: persona.name, languages: languages.languages }
+});
+console.log(`   Session log: ${sessionLog.path}`);
+const budget = createBudget({ ...budgetConfig, sessionLog });
+let summarizer = null;
+try {
+  const llm = redactor.instrumentLLM(budget.instrumentLLM(createLLM({ env: process.env, agentName: persona.name })));
+  summarizer = createSessionSummarizer({ sessionLog, llm, agentName: persona.name });
+} catch (err) {
+  console.error(`⚠️ Meeting summary disabled: ${err.message}`);
+}
+const taskStore = createTaskStore({ sessionLog, redact: redactor.redactDeep });
+const agenda = agendaConfig
+  ? createAgenda({ ...agendaConfig, persona, sessionLog, onWarning: announceAgenda })
+  : null;
+const toolRunner = createToolRunner({
+  persona,
+  sessionLog,
+  taskStore,
+  controls: { leave: leaveMeeting, setMuted, setPaused },
+  search: EXA_API_KEY
+    ? (query, count) => budget.search(query, () => searchExa(query, { apiKey: EXA_API_KEY, count }))
+    : null,
+  agenda,
+  redact: redactor.redact
 });
+const recorder = recordingConfig
+  ? createRecorder({ ...recordingConfig, sessionId: sessionLog.sessionId, sampleRate: SAMPLE_RATE, sessionLog })
+  : null;
+let isMuted = false;
+let isPaused = false;
+let isLeaving = false;
+let budgetLevel = 'ok';  // as last applied to the session
+let isShuttingDown = false;
+let exitSummary = null;  // summary started by leave_meeting
+let lastUtteranceId = null;
+let speechStartSample = null;  // recording offsets of the utterance being transcribed
+let lastSpeechSamples = null;
+const partialTranscripts = new Map();  // item_id → transcript so far, for the live view
 
-let sessionReady = false;
-let parecord = null;
-let paplay = null;
+// Mute/pause change this config in place, so a reconnect restores them too
+const sessionConfig = {
+  modalities: ['text', 'audio'],
+  instructions: INSTRUCTIONS,
+  voice: VOICE,
+  input_audio_format: 'pcm16',
+  output_audio_format: 'pcm16',
+  input_audio_transcription: {
+    model: process.env.TRANSCRIBE_MODEL || 'whisper-1',
+    ...(languageConfig.sttLanguage && { language: languageConfig.sttLanguage })
+  },
+  turn_detection: {
+    type: 'server_vad',
+    threshold: 0.5,
+    prefix_padding_ms: 300,
+    silence_duration_ms: 500,
+    create_response: true
+  },
+  tools: MEETING_TOOLS,
+  tool_choice: 'auto'
+};
+
+// Connect to OpenAI Realtime API (reconnects on its own, see lib/realtime-connection.js)
+const conn = createRealtimeConnection({
+  apiKey: OPENAI_API_KEY,
+  model: MODEL,
+  sampleRate: SAMPLE_RATE,
+  sessionConfig
+});
+
+let audioCaptureStarted = false;
+
+// Recent transcript, replayed into the new server-side conversation after a reconnect
+const HISTORY_REPLAY_ITEMS = parseInt(process.env.HISTORY_REPLAY_ITEMS || '20');
+let conversationLog = [];  // { role: 'user' | 'assistant', text }
+
+// Streamed reply text goes to stderr when stdout carries audio
+const transcriptOut = AUDIO_OUTPUT === 'stdout' ? process.stderr : process.stdout;
 
 // Audio buffer for outgoing (to speaker)
 let audioQueue = [];
 let isPlaying = false;
+let player = null;
 
-ws.on('open', () => {
-  console.log('✅ Connected to OpenAI Realtime API');
-  
-  // Configure session
-  ws.send(JSON.stringify({
-    type: 'session.update',
-    session: {
-      modalities: ['text', 'audio'],
-      instructions: INSTRUCTIONS,
-      voice: VOICE,
-      input_audio_format: 'pcm16',
-      output_audio_format: 'pcm16',
-      input_audio_transcription: {
-        model: 'whisper-1'
-      },
-      turn_detection: {
-        type: 'server_vad',
-        threshold: 0.5,
-        prefix_padding_ms: 300,
-        silence_duration_ms: 500
-      }
-    }
-  }));
+// Response currently being generated, and the audio item being played,
+// so barge-in can cancel the one and truncate the other
+let activeResponseId = null;
+let currentAudioItem = null;  // { id, receivedBytes, playbackStartedAt, transcript, inReplyTo, startSample, endSample }
+// Items whose audio has all arrived but is still playing; each gets its
+// `playback` record once it has been heard to the end or is cut off
+let unplayedItems = [];
+const cancelledResponses = new Set();
+
+// Tool calls by response ID, run once their response is done
+const toolCalls = new Map();
+// Callbacks to run once a follow-up response has been played (leave_meeting),
+// by the tag sent in that response's metadata: other responses can finish first
+const afterFollowUp = new Map();
+let followUpCount = 0;
+
+conn.on('open', ({ reconnect }) => {
+  console.log(reconnect ? '✅ Reconnected to OpenAI Realtime API' : '✅ Connected to OpenAI Realtime API');
 });
 
-ws.on('message', (data) => {
-  const event = JSON.parse(data.toString());
-  
+conn.on('ready', ({ reconnect, replayedMs, droppedMs }) => {
+  if (!reconnect) {
+    console.log('✅ Session configured');
+    startAudioCapture();
+    return;
+  }
+  console.log(`✅ Session restored, replayed ${replayedMs}ms of buffered audio`);
+  if (droppedMs > 0) console.log(`⚠️ Dropped ${droppedMs}ms of audio captured while disconnected`);
+  restoreConversation();
+  sessionLog.record('connection', { status: 'reconnected', replayedMs, droppedMs, restoredItems: conversationLog.length });
+});
+
+conn.on('reconnecting', ({ attempt, delayMs, reason }) => {
+  console.log(`🔄 Connection lost (${reason}), reconnecting in ${delayMs}ms (attempt ${attempt})`);
+  sessionLog.record('connection', { status: 'reconnecting', attempt, delayMs, reason });
+  // Whatever the old session was generating is gone
+  activeResponseId = null;
+});
+
+conn.on('event', (event) => {
   switch (event.type) {
     case 'session.created':
       console.log('📡 Session created');
       break;
       
-    case 'session.updated':
-      console.log('✅ Session configured');
-      sessionReady = true;
-      startAudioCapture();
-      break;
-      
     case 'input_audio_buffer.speech_started':
+      if (recorder) speechStartSample = recorder.position;
+      if (isPaused) break;
       console.log('🎤 Speech detected');
+      if (BARGE_IN) interruptPlayback('participant started talking');
       break;
       
     case 'input_audio_buffer.speech_stopped':
-      console.log('🔇 Speech ended');
+      if (recorder) lastSpeechSamples = { startSample: speechStartSample ?? recorder.position, endSample: recorder.position };
+      if (!isPaused) console.log('🔇 Speech ended');
       break;
       
-    case 'conversation.item.input_audio_transcription.completed':
-      console.log(`📝 User said: "${event.transcript}"`);
+    case 'conversation.item.input_audio_transcription.delta': {
+      // Live view only; the completed transcript is what gets logged
+      if (isPaused) break;
+      const text = (partialTranscripts.get(event.item_id) || '') + (event.delta || '');
+      partialTranscripts.set(event.item_id, text);
+      liveFeed.partial(text);
+      break;
+    }
+
+    case 'conversation.item.input_audio_transcription.completed': {
+      partialTranscripts.delete(event.item_id);
+      // An hourly cap may have freed up since the last response
+      applyBudget();
+      if (isPaused) break;
+      const echo = event.transcript ? echoGuard.matchEcho(event.transcript) : null;
+      if (echo) {
+        console.log(`🔁 Ignored echo of own voice: "${redactor.redact(event.transcript)}"`);
+        sessionLog.record('echo', { text: event.transcript, similarity: echo.similarity });
+        lastSpeechSamples = null;
+        // VAD already committed it: drop it from the conversation, and the reply it started
+        conn.send({ type: 'conversation.item.delete', item_id: event.item_id });
+        cancelActiveResponse();
+        break;
+      }
+      const language = languages.detect(event.transcript || '');
+      console.log(`📝 User said: "${redactor.redact(event.transcript)}"${languages.multilingual ? ` [${language}]` : ''}`);
+      if (event.transcript && event.transcript.trim()) {
+        lastUtteranceId = sessionLog.nextUtteranceId();
+        sessionLog.record('utterance', { utteranceId: lastUtteranceId, text: event.transcript, language, ...lastSpeechSamples });
+        // The model hears everything; a "next" tool call right after a spoken transition only confirms it
+        agenda?.observe(event.transcript);
+        lastSpeechSamples = null;
+        rememberTurn('user', event.transcript);
+      }
+      break;
+    }
+      
+    case 'response.created':
+      activeResponseId = event.response?.id || null;
       break;
       
     case 'response.audio.delta':
+      // Drop audio still in flight from a response we cancelled, or from before a mute
+      if (cancelledResponses.has(event.response_id) || isMuted) break;
       // Queue audio for playback
       if (event.delta) {
         const audioBuffer = Buffer.from(event.delta, 'base64');
+        if (!currentAudioItem || currentAudioItem.id !== event.item_id) {
+          currentAudioItem = { id: event.item_id, receivedBytes: 0, playbackStartedAt: null, transcript: '', inReplyTo: lastUtteranceId, startSample: recorder?.outputPosition() ?? null, endSample: null };
+        }
+        currentAudioItem.receivedBytes += audioBuffer.length;
+        recorder?.writeOutput(audioBuffer);
         audioQueue.push(audioBuffer);
         playAudioQueue();
       }
       break;
       
+    case 'response.audio.done':
+      if (cancelledResponses.has(event.response_id)) break;
+      if (recorder && currentAudioItem?.id === event.item_id) {
+        currentAudioItem.endSample = recorder.outputPosition();
+        unplayedItems.push(currentAudioItem);
+        if (!isPlaying && audioQueue.length === 0) recordPlayback();
+      }
+      break;
+      
     case 'response.audio_transcript.delta':
-      process.stdout.write(event.delta || '');
+      if (cancelledResponses.has(event.response_id)) break;
+      if (currentAudioItem && currentAudioItem.id === event.item_id) {
+        currentAudioItem.transcript += event.delta || '';
+      }
+      // A streamed fragment can't be redacted reliably (an email split in two),
+      // so with REDACT=on only the finished line below is printed
+      if (!redactor.enabled) transcriptOut.write(event.delta || '');
       break;
       
     case 'response.audio_transcript.done':
-      console.log(`\n🗣️ Claw: "${event.transcript}"`);
+      console.log(`\n🗣️ ${persona.name}: "${redactor.redact(event.transcript)}"`);
+      sessionLog.record('reply', { text: event.transcript, inReplyTo: lastUtteranceId });
+      echoGuard.addOutput(event.transcript);
+      rememberTurn('assistant', event.transcript);
+      break;
+      
+    case 'response.function_call_arguments.done':
+      console.log(`🔧 Tool call requested: ${event.name}`);
+      if (!toolCalls.has(event.response_id)) toolCalls.set(event.response_id, []);
+      toolCalls.get(event.response_id).push({ callId: event.call_id, name: event.name, arguments: event.arguments });
       break;
       
-    case 'response.done':
+    case 'response.done': {
+      const responseId = event.response?.id;
+      if (responseId === activeResponseId) activeResponseId = null;
+      const cancelled = cancelledResponses.delete(responseId);
       console.log('✅ Response complete');
+      budget.add('llmTokens', event.response?.usage?.total_tokens || 0);
+      applyBudget();
+      const followUpTag = event.response?.metadata?.follow_up;
+      if (afterFollowUp.has(followUpTag)) {
+        const callbacks = afterFollowUp.get(followUpTag);
+        afterFollowUp.delete(followUpTag);
+        whenPlaybackIdle(() => callbacks.forEach(fn => fn()));
+      }
+      const calls = toolCalls.get(responseId);
+      if (calls) {
+        toolCalls.delete(responseId);
+        // The model said something alongside the calls, so recording tools needn't acknowledge
+        const spokenReply = (event.response.output || []).some(item => item.type === 'message');
+        runToolCalls(calls, { spokenReply, cancelled }).catch((err) => {
+          console.error('❌ Tool error:', err.message);
+          sessionLog.record('error', { source: 'tools', message: err.message });
+        });
+      }
       break;
+    }
       
     case 'error':
+      // Expected when the server already cancelled the response on its own
+      if (event.error?.code === 'response_cancel_not_active') break;
       console.error('❌ Error:', event.error);
+      sessionLog.record('error', { source: 'realtime', message: event.error?.message || String(event.error) });
       break;
       
     default:
@@ -135,110 +397,394 @@ ws.on('message', (data) => {
   }
 });
 
-ws.on('error', (err) => {
+conn.on('error', (err) => {
   console.error('❌ WebSocket error:', err.message);
+  sessionLog.record('error', { source: 'websocket', message: err.message });
 });
 
-ws.on('close', (code, reason) => {
-  console.log(`🔌 Connection closed: ${code} ${reason}`);
-  cleanup();
-  process.exit(0);
+conn.on('close', ({ reason }) => {
+  console.log(`🔌 Connection closed: ${reason}`);
+  sessionLog.record('connection', { status: 'closed', reason });
+  shutdown('connection_closed');
 });
 
+conn.connect();
+
+function rememberTurn(role, text) {
+  if (!text || !text.trim()) return;
+  conversationLog.push({ role, text });
+  if (conversationLog.length > HISTORY_REPLAY_ITEMS) {
+    conversationLog = conversationLog.slice(-HISTORY_REPLAY_ITEMS);
+  }
+}
+
+// A reconnect starts a fresh server-side conversation; seed it with what was said
+function restoreConversation() {
+  for (const { role, text } of conversationLog) {
+    conn.send({
+      type: 'conversation.item.create',
+      item: {
+        type: 'message',
+        role,
+        content: [{ type: role === 'user' ? 'input_text' : 'text', text }]
+      }
+    });
+  }
+}
+
 function startAudioCapture() {
+  if (audioCaptureStarted) return;
+  audioCaptureStarted = true;
   console.log('🎧 Starting audio capture from meeting...');
   
-  // Use parec to capture raw PCM from meeting output
-  // Resample to 24kHz mono for OpenAI
-  parecord = spawn('parec', [
-    '--device=' + INPUT_DEVICE,
-    '--format=s16le',
-    '--rate=' + SAMPLE_RATE,
-    '--channels=1',
-    '--latency-msec=50'
-  ]);
-  
-  parecord.stdout.on('data', (chunk) => {
-    if (sessionReady && ws.readyState === WebSocket.OPEN) {
-      // Send audio chunk to OpenAI
-      ws.send(JSON.stringify({
-        type: 'input_audio_buffer.append',
-        audio: chunk.toString('base64')
-      }));
-    }
-  });
-  
-  parecord.stderr.on('data', (data) => {
-    console.error('parec stderr:', data.toString());
+  // Send audio chunk to OpenAI (buffered while reconnecting). While paused the
+  // server still transcribes, but no responses are created and transcripts are dropped.
+  audioSource.on('data', (chunk) => {
+    recorder?.writeInput(chunk);
+    conn.appendAudio(echoGuard.filterAudio(chunk));
   });
   
-  parecord.on('error', (err) => {
-    console.error('❌ parec error:', err.message);
+  audioSource.on('error', (err) => {
+    console.error('❌ Audio input error:', err.message);
+    sessionLog.record('error', { source: 'audio_input', message: err.message });
   });
   
-  parecord.on('close', (code) => {
-    if (code !== 0 && code !== null) {
-      console.error(`parec exited with code ${code}`);
-    }
+  // File/stdin input: shut down once the last reply has played
+  audioSource.on('end', () => {
+    console.log(`⏹️ Audio input ended, exiting after ${INPUT_END_GRACE_MS}ms of quiet`);
+    sessionLog.record('input_end', {});
+    const waitForIdle = () => {
+      if (activeResponseId || isPlaying || audioQueue.length > 0) {
+        setTimeout(waitForIdle, 500);
+        return;
+      }
+      shutdown('input_ended');
+    };
+    setTimeout(waitForIdle, INPUT_END_GRACE_MS);
   });
   
+  audioSource.start();
   console.log('✅ Audio capture started');
 }
 
 function playAudioQueue() {
   if (isPlaying || audioQueue.length === 0) return;
   isPlaying = true;
+  if (currentAudioItem && !currentAudioItem.playbackStartedAt) {
+    currentAudioItem.playbackStartedAt = Date.now();
+  }
   
   // Concatenate all queued audio
   const audioData = Buffer.concat(audioQueue);
   audioQueue = [];
   
-  // Pipe to paplay for output
-  const paplayProc = spawn('paplay', [
-    '--device=' + OUTPUT_DEVICE,
-    '--format=s16le',
-    '--rate=' + SAMPLE_RATE,
-    '--channels=1',
-    '--raw'
-  ]);
-  
-  paplayProc.stdin.write(audioData);
-  paplayProc.stdin.end();
+  // Hand off to the output sink (paplay by default)
+  player = audioSink.open({ sampleRate: SAMPLE_RATE });
+  player.stdin.write(audioData);
+  player.stdin.end();
+  echoGuard.playbackStarted();
+  let ended = false;
+  const playbackEnded = () => {
+    if (ended) return;
+    ended = true;
+    echoGuard.playbackEnded();
+  };
   
-  paplayProc.on('close', () => {
+  player.on('close', () => {
+    playbackEnded();
     isPlaying = false;
+    player = null;
+    if (audioQueue.length === 0) recordPlayback();
     // Check if more audio arrived while playing
     if (audioQueue.length > 0) {
       playAudioQueue();
     }
   });
   
-  paplayProc.on('error', (err) => {
-    console.error('❌ paplay error:', err.message);
+  player.on('error', (err) => {
+    console.error('❌ Audio output error:', err.message);
+    sessionLog.record('error', { source: 'audio_output', message: err.message });
+    playbackEnded();
     isPlaying = false;
   });
 }
 
-function cleanup() {
+// One `playback` record per finished item. When cut off at cutSample, items
+// that hadn't been heard to the end are marked interrupted.
+function recordPlayback(cutSample = null) {
+  for (const item of unplayedItems) {
+    // endSample is null while the item's audio is still arriving
+    const interrupted = cutSample !== null && (item.endSample === null || cutSample < item.endSample);
+    sessionLog.record('playback', { inReplyTo: item.inReplyTo, startSample: item.startSample, endSample: interrupted ? cutSample : item.endSample, interrupted });
+  }
+  unplayedItems = [];
+}
+
+// Stop the response being generated; audio still in flight from it is dropped
+function cancelActiveResponse() {
+  if (!activeResponseId) return;
+  cancelledResponses.add(activeResponseId);
+  conn.send({ type: 'response.cancel' });
+  activeResponseId = null;
+}
+
+// Barge-in: cancel the response being generated, drop queued audio, stop
+// playback and truncate the assistant item to what was actually heard
+function interruptPlayback(reason) {
+  const wasSpeaking = isPlaying || audioQueue.length > 0;
+  
+  cancelActiveResponse();
+  
+  audioQueue = [];
+  if (player) player.kill();
+  recorder?.dropOutput();
+  
+  if (wasSpeaking && currentAudioItem) {
+    const receivedMs = Math.floor(currentAudioItem.receivedBytes / (SAMPLE_RATE * 2) * 1000);
+    const elapsedMs = currentAudioItem.playbackStartedAt ? Date.now() - currentAudioItem.playbackStartedAt : 0;
+    const playedMs = Math.min(elapsedMs, receivedMs);
+    conn.send({
+      type: 'conversation.item.truncate',
+      item_id: currentAudioItem.id,
+      content_index: 0,
+      audio_end_ms: playedMs
+    });
+    console.log(`\n✋ Playback interrupted after ${playedMs}ms (${reason})`);
+    sessionLog.record('interrupted', { text: currentAudioItem.transcript, inReplyTo: lastUtteranceId, playedMs });
+    if (recorder) {
+      if (!unplayedItems.includes(currentAudioItem)) {
+        unplayedItems.push(currentAudioItem);
+      }
+      recordPlayback(recorder.outputPosition());
+    }
+    currentAudioItem = null;
+  }
+}
+
+// Run the model's tool calls through the shared runner (lib/meeting-tools.js),
+// return the results as function_call_output items, and ask for a follow-up
+// response when there is something to say: an answer from search results or
+// a canned acknowledgement
+async function runToolCalls(calls, { spokenReply, cancelled }) {
+  const say = [];
+  const after = [];
+  let reply = false;
+  for (const call of calls) {
+    const result = await toolRunner.run(call.name, call.arguments, { utteranceId: lastUtteranceId, spokenReply });
+    conn.send({
+      type: 'conversation.item.create',
+      item: { type: 'function_call_output', call_id: call.callId, output: JSON.stringify(result.output) }
+    });
+    if (result.note) rememberTurn('assistant', result.note);
+    if (result.say) say.push(result.say);
+    if (result.reply) reply = true;
+    if (result.after) after.push(result.after);
+  }
+
+  const followUp = !cancelled && !isMuted && (reply || say.length > 0);
+  if (followUp) {
+    const tag = `follow-up-${++followUpCount}`;
+    conn.send({ type: 'response.create', response: { ...(reply ? {} : sayExactly(say.join(' '))), metadata: { follow_up: tag } } });
+    if (after.length > 0) afterFollowUp.set(tag, after);
+  } else {
+    after.forEach(fn => fn());
+  }
+}
+
+// Response options that make the model speak `text` verbatim
+function sayExactly(text) {
+  return { instructions: `Say exactly this, and nothing else: "${text}"` };
+}
+
+function whenPlaybackIdle(fn) {
+  if (isPlaying || audioQueue.length > 0) {
+    setTimeout(() => whenPlaybackIdle(fn), 200);
+    return;
+  }
+  fn();
+}
+
+// Agenda time warnings (lib/agenda.js). Returns false while the bot is
+// talking, so the agenda tries again a few seconds later.
+function announceAgenda(text) {
+  if (isMuted || isPaused) return true;
+  if (activeResponseId || isPlaying || audioQueue.length > 0) return false;
+  console.log(`🗓️ Time warning: "${redactor.redact(text)}"`);
+  conn.send({ type: 'response.create', response: sayExactly(text) });
+  return true;
+}
+
+// Degrade as the budget runs out (see lib/budget.js): shorter replies, then
+// no replies and a one-time spoken notice. Transcripts are still logged.
+function applyBudget() {
+  const level = budget.check();
+  if (level === budgetLevel) return;
+  budgetLevel = level;
+  updateSession({
+    instructions: level === 'low' ? `${INSTRUCTIONS}\n\n${LOW_BUDGET_HINT}` : INSTRUCTIONS,
+    turn_detection: { ...sessionConfig.turn_detection, create_response: !isPaused && level !== 'exhausted' }
+  });
+  if (level === 'exhausted' && !isMuted) {
+    whenPlaybackIdle(() => conn.send({ type: 'response.create', response: sayExactly(persona.phrase('budgetExhausted')) }));
+  }
+}
+
+// Apply a session change now and keep it for reconnects
+function updateSession(changes) {
+  Object.assign(sessionConfig, changes);
+  conn.send({ type: 'session.update', session: changes });
+}
+
+// Meeting controls shared by voice tool calls and the control API.
+// `source` is 'voice' or 'control' and ends up in the session log.
+
+function leaveMeeting(source) {
+  if (isLeaving) return;
+  isLeaving = true;
+  console.log('👋 Leaving meeting...');
+  isPaused = true;  // Stop responding to further speech
+  updateSession({ turn_detection: { ...sessionConfig.turn_detection, create_response: false } });
+  recordState('leave_meeting', source);
+  emitSignal('LEAVE_MEETING');
+  // Start the summary now; the agent may kill us as soon as it has left
+  if (SUMMARY_ON_EXIT && summarizer) exitSummary = summarizer.run('leave_meeting');
+  // Wait for agent to kill us after clicking Leave
+  setTimeout(() => {
+    console.log('⏱️ Timeout waiting for agent, exiting anyway');
+    shutdown('leave_meeting');
+  }, 60000);  // 60s for agent to act on the signal
+}
+
+// Muted: the model answers in text only, so nothing is played
+function setMuted(muted, source) {
+  if (isMuted === muted) {
+    console.log(muted ? '🔇 Already muted, ignoring duplicate call' : '🔊 Already unmuted, ignoring duplicate call');
+    return false;
+  }
+  isMuted = muted;
+  updateSession({ modalities: muted ? ['text'] : ['text', 'audio'] });
+  console.log(muted ? '🔇 Muted - will not speak' : '🔊 Unmuted - resuming speech');
+  recordState(muted ? 'mute_self' : 'unmute_self', source);
+  emitSignal(muted ? 'MUTED' : 'UNMUTED');
+  return true;
+}
+
+// Paused: server VAD no longer creates responses
+function setPaused(paused, source) {
+  if (isPaused === paused) return false;
+  isPaused = paused;
+  updateSession({ turn_detection: { ...sessionConfig.turn_detection, create_response: !paused && budgetLevel !== 'exhausted' } });
+  console.log(paused ? '⏸️ Paused - not processing speech' : '▶️ Resumed - processing speech');
+  recordState(paused ? 'pause_listening' : 'resume_listening', source);
+  emitSignal(paused ? 'PAUSED' : 'RESUMED');
+  return true;
+}
+
+function getState() {
+  return { sessionId: sessionLog.sessionId, isMuted, isPaused, isProcessingResponse: Boolean(activeResponseId) || isPlaying };
+}
+
+// Push a signal to control API subscribers. The SIGNAL:* stdout line is kept
+// for agents that still poll process logs.
+function emitSignal(signal) {
+  console.log(`SIGNAL:${signal}`);
+  if (controlServer) controlServer.broadcast('signal', { signal, state: getState() });
+}
+
+// Log the current mute/pause state after a change
+function recordState(change, source) {
+  sessionLog.record('state', { muted: isMuted, paused: isPaused, change, source });
+}
+
+// Commands accepted by the control API (POST /<name>)
+const controlCommands = {
+  mute: async () => ({ changed: setMuted(true, 'control') }),
+  unmute: async () => ({ changed: setMuted(false, 'control') }),
+  pause: async () => ({ changed: setPaused(true, 'control') }),
+  resume: async () => ({ changed: setPaused(false, 'control') }),
+  leave: async () => {
+    leaveMeeting('control');
+    return {};
+  },
+  speak: async ({ text }) => {
+    if (!text || typeof text !== 'string') throw new Error('"text" is required');
+    if (isMuted) throw Object.assign(new Error('Bridge is muted'), { statusCode: 409 });
+    if (activeResponseId) throw Object.assign(new Error('Bridge is already responding'), { statusCode: 409 });
+    console.log(`🗣️ ${persona.name} (control): "${redactor.redact(text)}"`);
+    conn.send({ type: 'response.create', response: sayExactly(text) });
+    return {};
+  },
+  summarize: async () => {
+    if (!summarizer) throw Object.assign(new Error('Summaries are not configured'), { statusCode: 409 });
+    const result = await summarizer.run('control');
+    if (!result) throw Object.assign(new Error('Summary failed, see session log'), { statusCode: 500 });
+    return result;
+  },
+  inject: async ({ text }) => {
+    if (!text || typeof text !== 'string') throw new Error('"text" is required');
+    conn.send({
+      type: 'conversation.item.create',
+      item: { type: 'message', role: 'system', content: [{ type: 'input_text', text }] }
+    });
+    sessionLog.record('system_message', { text, source: 'control' });
+    console.log('💉 Injected system message');
+    return {};
+  },
+  agenda: async (body) => {
+    if (!agenda) throw Object.assign(new Error('No agenda loaded (set AGENDA_FILE)'), { statusCode: 409 });
+    return agenda.update(body, 'control').status;
+  }
+};
+
+// Read-only data for the control API (GET /<name>)
+const controlQueries = {
+  tasks: () => taskStore.toJSON(),
+  budget: () => budget.toJSON(),
+  agenda: () => (agenda ? agenda.toJSON() : { title: null, current: null, items: [] })
+};
+
+const controlServer = controlConfig
+  ? startControlServer({ ...controlConfig, getState, commands: controlCommands, queries: controlQueries, live: liveFeed })
+  : null;
+
+let cleanedUp = false;
+function cleanup(reason = 'shutdown') {
+  if (cleanedUp) return;
+  cleanedUp = true;
   console.log('🧹 Cleaning up...');
-  if (parecord) {
-    parecord.kill();
+  agenda?.close();
+  recorder?.close();
+  sessionLog.end(reason);
+  if (controlServer) controlServer.close();
+  audioSource.stop();
+  audioSink.close();
+  conn.close();
+}
+
+// Write the summary (bounded by SUMMARY_TIMEOUT_MS), then exit.
+// A second signal while summarizing exits immediately.
+async function shutdown(reason) {
+  if (isShuttingDown) {
+    cleanup(reason);
+    process.exit(0);
   }
-  if (ws.readyState === WebSocket.OPEN) {
-    ws.close();
+  isShuttingDown = true;
+  if (SUMMARY_ON_EXIT && summarizer) {
+    const summary = exitSummary || summarizer.run(reason);
+    await Promise.race([summary, new Promise(resolve => setTimeout(resolve, SUMMARY_TIMEOUT_MS))]);
   }
+  cleanup(reason);
+  process.exit(0);
 }
 
 // Handle graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n👋 Shutting down...');
-  cleanup();
-  process.exit(0);
+  shutdown('sigint');
 });
 
 process.on('SIGTERM', () => {
-  cleanup();
-  process.exit(0);
+  shutdown('sigterm');
 });
 
 console.log('💡 Press Ctrl+C to stop');
@@ -4,6 +4,8 @@
  * 
  * Uses OpenAI Realtime API for low-latency transcription with server VAD,
  * then generates responses with Claude/GPT and speaks via ElevenLabs.
+ * Each stage is a swappable provider (see lib/providers/index.js), including
+ * offline mocks: STT_PROVIDER=mock LLM_PROVIDER=mock TTS_PROVIDER=mock
  * 
  * Features:
  * - Real-time speech detection and transcription
@@ -13,16 +15,29 @@
  * Usage: node realtime-hybrid.js
  */
 
-import WebSocket from 'ws';
-import { spawn, exec } from 'child_process';
-import { Buffer } from 'buffer';
-import https from 'https';
-import http from 'http';
+import { createSessionLog } from './lib/session-log.js';
+import { startControlServer, getControlServerConfig } from './lib/control-server.js';
+import { createProviders } from './lib/providers/index.js';
+import { createSessionSummarizer } from './lib/summarizer.js';
+import { createTaskStore } from './lib/task-store.js';
+import { createWakeWordGate, getWakeWordConfig } from './lib/wake-word.js';
+import { loadPersona, buildSystemPrompt } from './lib/persona.js';
+import { buildMeetingTools, createToolRunner, SEARCH_ANSWER_RULES } from './lib/meeting-tools.js';
+import { searchExa } from './lib/web-search.js';
+import { createSentenceChunker } from './lib/sentence-chunker.js';
+import { createMeetingMetrics } from './lib/metrics.js';
+import { createRecorder, getRecordingConfig } from './lib/recorder.js';
+import { createEchoGuard, getEchoGuardConfig } from './lib/echo-guard.js';
+import { createLiveFeed, getLiveViewConfig } from './lib/live-view.js';
+import { createBudget, getBudgetConfig, describeBudget } from './lib/budget.js';
+import { createMeetingMemory, getMemoryConfig } from './lib/memory.js';
+import { createLanguageTracker, getLanguageConfig, replyLanguageHint } from './lib/language.js';
+import { createSpeechNormalizer, getSpeechConfig } from './lib/speech-normalizer.js';
+import { createAgenda, getAgendaConfig } from './lib/agenda.js';
+import { createRedactor, getRedactionConfig } from './lib/redact.js';
+import { createAudioSource, createAudioSink, describeAudioSpec, reserveStdoutIfNeeded } from './lib/audio-io.js';
 
 // Config - all from environment variables
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
-const ELEVENLABS_VOICE_ID = process.env.ELEVENLABS_VOICE_ID || 'cgSgspJ2msm6clMCkdW9'; // Jessica
 const EXA_API_KEY = process.env.EXA_API_KEY;
 
 // Audio config - override via env if needed
@@ -30,144 +45,191 @@ const SAMPLE_RATE = parseInt(process.env.SAMPLE_RATE || '24000');
 const INPUT_DEVICE = process.env.INPUT_DEVICE || 'meeting-output.monitor';
 const OUTPUT_DEVICE = process.env.OUTPUT_DEVICE || 'VirtualMic';
 
-// System prompt with meeting control awareness
-const SYSTEM_PROMPT = process.env.SYSTEM_PROMPT || `You are Claw, an AI assistant in a voice meeting. Stay completely silent unless directly addressed by name.
-
-CORE BEHAVIOR:
-- Do NOT announce your presence or listening state.
-- Do NOT say phrases like "I'm listening" or "note listening passively" or "I will continue to listen".
-- Stay silent during general conversation.
-- Only speak when someone says "Claw" followed by a question or request.
-
-WHEN ADDRESSED:
-- Be concise and natural (1-2 sentences).
-- Examples: "What do you think Claw?", "Claw, look up X", "Hey Claw, what's your take?"
-- ALWAYS give a spoken response. Do NOT just call a tool without speaking.
-
-NOTES & ACTION ITEMS:
-- When asked to take a note, remember something, or jot something down: say "Got it" or "Noted" and repeat the key point back briefly.
-  The note will appear in the transcript for later review. You do NOT need a tool for this.
-  Example: User says "Claw, note that we agreed on a March 15th deadline." → You say: "Noted — March 15th deadline."
-- When asked to add an action item or to-do: acknowledge and restate it clearly.
-  Example: "Claw, remind me to send the proposal." → "Got it — action item: send the proposal."
-
-SCHEDULING & FOLLOW-UPS:
-- When asked to schedule a meeting, check availability, send an email, or do anything that requires external tools you don't have:
-  ACCEPT the request confidently and say you'll handle it after the call.
-  Examples:
-  - "Claw, schedule a follow-up for next Tuesday." → "I'll set that up after the call."
-  - "Claw, can you check my calendar?" → "I'll check and get back to you after the meeting."
-  - "Claw, send the summary." → "I'll send that over once we wrap up."
-  The request will appear in the transcript. The parent agent (OpenClaw) will pick it up and execute it.
-- NEVER say "I can't do that" or "I don't have access to that." You CAN — just not live. Defer gracefully.
-
-MEETING CONTROLS (ONLY when EXPLICITLY commanded):
-- leave_meeting: ONLY if someone says "Claw, leave the meeting" (NOT on casual "bye"/"thanks").
-- mute_self: ONLY if someone says "Claw, mute yourself".
-- unmute_self: ONLY if currently muted AND someone says "Claw, unmute". Never call if already unmuted.
-- pause_listening: ONLY if someone says "Claw, stop listening" or "Claw, give us privacy".
-
-WEB SEARCH:
-- Use web_search when asked to look up, search, find, or when asked factual questions.
-- Answer ONLY what was asked. No extra context, explanations, or unsolicited suggestions.
-- For venue/place searches: list 2-3 specific options with name and address.
-- Be direct and factual. Keep responses SHORT — one to two sentences max.
-- If asked for a recommendation, pick one based on ratings, reviews, or proximity from the search results. Give a brief reason.
-
-NEVER announce what you're doing. Just do it.`;
-
-// Meeting control tools for function calling
-// NOTE: These are deliberately strict. AI should prefer speech over tools.
-const MEETING_TOOLS = [
-  {
-    type: "function",
-    function: {
-      name: "leave_meeting",
-      description: "Leave the meeting, stop recording, and end the session. ONLY call this if someone EXPLICITLY says 'Claw, leave the meeting' or 'Claw, leave the call'. DO NOT call for casual farewells like 'bye', 'see ya', 'goodbye', 'thank you', etc."
-    }
-  },
-  {
-    type: "function",
-    function: {
-      name: "mute_self",
-      description: "Mute the AI's microphone so it stops speaking. ONLY call this if someone EXPLICITLY says 'Claw, mute yourself'. DO NOT call for phrases like 'thanks', 'that's all', silence, etc."
-    }
-  },
-  {
-    type: "function",
-    function: {
-      name: "unmute_self",
-      description: "Unmute the AI's microphone to resume speaking. ONLY call this if you are currently muted AND someone EXPLICITLY asks you to unmute or speak again. DO NOT call if already unmuted."
-    }
-  },
-  {
-    type: "function",
-    function: {
-      name: "pause_listening",
-      description: "Temporarily stop listening to the meeting. ONLY call this if someone EXPLICITLY says 'Claw, stop listening' or 'give us privacy'."
-    }
-  },
-  {
-    type: "function",
-    function: {
-      name: "resume_listening",
-      description: "Resume listening after being paused. ONLY call this if someone EXPLICITLY says 'Claw, start listening again' while paused."
-    }
-  },
-  {
-    type: "function",
-    function: {
-      name: "web_search",
-      description: "Search the web for current information. Use when someone asks 'Claw, look up X', 'Claw, search for Y', or asks about facts, data, or topics that may have changed since your training cutoff.",
-      parameters: {
-        type: "object",
-        properties: {
-          query: {
-            type: "string",
-            description: "The search query to look up"
-          },
-          count: {
-            type: "integer",
-            description: "Number of results to return (1-5, default 3)"
-          }
-        },
-        required: ["query"]
-      }
-    }
-  }
-];
-
-if (!OPENAI_API_KEY) {
-  console.error('❌ OPENAI_API_KEY not set');
+// Audio backends (see lib/audio-io.js): pulse, file:<path>, stdin / stdout, null
+const AUDIO_INPUT = process.env.AUDIO_INPUT || 'pulse';
+const AUDIO_OUTPUT = process.env.AUDIO_OUTPUT || 'pulse';
+const INPUT_END_GRACE_MS = parseInt(process.env.INPUT_END_GRACE_MS || '5000');
+
+// Post-meeting summary on leave/exit (see lib/summarizer.js)
+const SUMMARY_ON_EXIT = process.env.SUMMARY_ON_EXIT !== 'off';
+const SUMMARY_TIMEOUT_MS = parseInt(process.env.SUMMARY_TIMEOUT_MS || '60000');
+reserveStdoutIfNeeded(AUDIO_OUTPUT);
+
+// Barge-in: stop talking when a participant starts speaking over the bot
+const BARGE_IN = process.env.BARGE_IN !== 'off';
+
+// Utterances that arrive while a response is in progress are queued.
+// 'merge' answers everything queued in one turn, 'sequential' one at a time.
+const UTTERANCE_QUEUE_DEPTH = parseInt(process.env.UTTERANCE_QUEUE_DEPTH || '3');
+const UTTERANCE_QUEUE_MODE = process.env.UTTERANCE_QUEUE_MODE === 'sequential' ? 'sequential' : 'merge';
+
+// Stream completions and start TTS at the first full sentence (needs a provider with stream())
+const LLM_STREAMING = process.env.LLM_STREAMING !== 'off';
+
+// Reply length, normally and once the budget runs low (BUDGET_LOW_AT, see lib/budget.js)
+const REPLY_MAX_TOKENS = 150;
+const LOW_BUDGET_MAX_TOKENS = 60;
+const LOW_BUDGET_HINT = 'Your usage budget for this meeting is running low: answer in one short sentence.';
+
+// Persona (name, aliases, phrases, voice); the prompt and tool descriptions are rendered from it.
+// SYSTEM_PROMPT replaces only the persona part; the meeting-control rules are always kept.
+let persona, agendaConfig;
+try {
+  persona = loadPersona();
+  // Facilitator mode: time-boxed agenda from AGENDA_FILE (see lib/agenda.js)
+  agendaConfig = getAgendaConfig();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
   process.exit(1);
 }
-
-if (!ELEVENLABS_API_KEY) {
-  console.error('❌ ELEVENLABS_API_KEY not set');
+const SYSTEM_PROMPT = buildSystemPrompt(persona, { override: process.env.SYSTEM_PROMPT });
+const MEETING_TOOLS = buildMeetingTools(persona, { agenda: Boolean(agendaConfig) });
+
+// STT / LLM / TTS backends, chosen by STT_PROVIDER, LLM_PROVIDER, TTS_PROVIDER
+let stt, llm, tts, audioSource, audioSink, recordingConfig, echoGuard, budgetConfig, memoryConfig, languageConfig, redactionConfig, speechConfig, controlConfig;
+try {
+  // Reply in each speaker's language, with a voice per language (see lib/language.js)
+  languageConfig = getLanguageConfig();
+  ({ stt, llm, tts } = createProviders({
+    env: process.env,
+    sampleRate: SAMPLE_RATE,
+    agentName: persona.name,
+    voiceId: persona.voiceId,
+    voices: languageConfig.voices,
+    models: languageConfig.models,
+    language: languageConfig.sttLanguage
+  }));
+  audioSource = createAudioSource({ spec: AUDIO_INPUT, device: INPUT_DEVICE, sampleRate: SAMPLE_RATE });
+  audioSink = createAudioSink({ spec: AUDIO_OUTPUT, device: OUTPUT_DEVICE });
+  // Meeting + bot audio to WAV (see lib/recorder.js); RECORD=off by default
+  recordingConfig = getRecordingConfig();
+  // Don't hear our own TTS echoed back by the meeting client (see lib/echo-guard.js)
+  echoGuard = createEchoGuard(getEchoGuardConfig());
+  // Token / TTS character / search caps (see lib/budget.js); none by default
+  budgetConfig = getBudgetConfig();
+  // Older turns condensed into a running summary (see lib/memory.js)
+  memoryConfig = getMemoryConfig();
+  // Emails, phone and card numbers, listed names out of logs and search queries (see lib/redact.js)
+  redactionConfig = getRedactionConfig();
+  // Markdown, links, numbers and lexicon terms rewritten for TTS (see lib/speech-normalizer.js)
+  speechConfig = getSpeechConfig();
+  // Local HTTP control API (see lib/control-server.js); off with CONTROL_PORT=off
+  controlConfig = getControlServerConfig();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
   process.exit(1);
 }
 
 console.log('🚀 Hybrid Realtime Bridge starting...');
-console.log('   STT: OpenAI Realtime (server VAD)');
-console.log('   TTS: ElevenLabs');
-console.log(`   Input: ${INPUT_DEVICE}`);
-console.log(`   Output: ${OUTPUT_DEVICE}`);
+console.log(`   Persona: ${persona.name}${persona.aliases.length > 0 ? ` (aka ${persona.aliases.join(', ')})` : ''}`);
+console.log(`   STT: ${stt.name}`);
+const streaming = LLM_STREAMING && typeof llm.stream === 'function';
+console.log(`   LLM: ${llm.name} (${llm.model})${streaming ? ', streaming' : ''}`);
+console.log(`   TTS: ${tts.name}`);
+console.log(`   Input: ${describeAudioSpec(AUDIO_INPUT, INPUT_DEVICE)}`);
+console.log(`   Output: ${describeAudioSpec(AUDIO_OUTPUT, OUTPUT_DEVICE)}`);
+if (recordingConfig) console.log(`   Recording: ${recordingConfig.layout} → ${recordingConfig.dir}`);
 console.log('   Controls: leave, mute, pause via voice');
 
+// Only utterances that name the bot (or continue a conversation with it) reach the model
+const wakeGate = createWakeWordGate(getWakeWordConfig(process.env, [persona.name, ...persona.aliases]));
+console.log(wakeGate.enabled
+  ? `   Wake words: ${wakeGate.names.join(', ')} (open ${wakeGate.windowMs}ms after speaking)`
+  : '   Wake words: off (every utterance goes to the model)');
+console.log(`   Echo guard: ${echoGuard.mode}`);
+console.log(`   Budget: ${describeBudget(budgetConfig)}`);
+const languages = createLanguageTracker(languageConfig);
+console.log(languages.multilingual
+  ? `   Languages: ${languages.languages.join(', ')} (detected per utterance)`
+  : `   Language: ${languages.current}`);
+const speechNormalizer = createSpeechNormalizer(speechConfig);
+console.log(`   Speech: ${speechConfig.enabled ? 'normalized' : 'abbreviations only'}${speechNormalizer.terms > 0 ? `, ${speechNormalizer.terms} lexicon term${speechNormalizer.terms === 1 ? '' : 's'}` : ''}`);
+console.log(memoryConfig.enabled
+  ? `   Memory: last ~${memoryConfig.recentTokens} tokens verbatim, older turns summarized in ~${memoryConfig.summaryTokens}`
+  : '   Memory: off (last 20 messages only)');
+if (agendaConfig) console.log(`   Agenda: ${agendaConfig.items.length} items from ${agendaConfig.path}${agendaConfig.track ? '' : ' (tracked by tool only)'}`);
+
+const redactor = createRedactor(redactionConfig);
+if (redactor.enabled) {
+  console.log(`   Redaction: logs and search queries${redactionConfig.llm ? ', chat completions' : ''}${redactionConfig.terms.length > 0 ? `, ${redactionConfig.terms.length} listed term${redactionConfig.terms.length === 1 ? '' : 's'}` : ''}`);
+}
+
+// Structured transcript/event log (one JSONL file per session)
+const sessionLog = createSessionLog({ bridge: 'hybrid', redact: redactor.redactDeep });
+// Live captions for GET / and GET /live on the control server (see lib/live-view.js)
+const liveFeed = createLiveFeed({ sessionLog, ...getLiveViewConfig(), redact: redactor.redact });
+sessionLog.record('session_start', {
+  config: { input: describeAudioSpec(AUDIO_INPUT, INPUT_DEVICE), output: describeAudioSpec(AUDIO_OUTPUT, OUTPUT_DEVICE), sampleRate: SAMPLE_RATE,
+    stt: stt.name, llm: llm.name, llmModel: llm.model, tts: tts.name, voiceId: tts.voiceId, persona: persona.name, languages: languages.languages }
+});
+console.log(`   Session log: ${sessionLog.path}`);
+// TTS_FALLBACKS switching providers (see lib/providers/tts-chain.js)
+tts.onFallback((fallback) => sessionLog.record('tts_fallback', fallback));
+// Latency/usage metrics; every LLM and TTS request goes through the counters
+const metrics = createMeetingMetrics({ sessionId: sessionLog.sessionId });
+llm = metrics.instrumentLLM(llm);
+tts = metrics.instrumentTTS(tts);
+const budget = createBudget({ ...budgetConfig, sessionLog });
+llm = budget.instrumentLLM(llm);
+tts = budget.instrumentTTS(tts);
+llm = redactor.instrumentLLM(llm);
+const summarizer = createSessionSummarizer({ sessionLog, llm, agentName: persona.name });
+const taskStore = createTaskStore({ sessionLog, redact: redactor.redactDeep });
+const memory = createMeetingMemory({
+  ...memoryConfig,
+  llm,
+  sessionLog,
+  taskStore,
+  agentName: persona.name,
+  canCondense: () => budget.level !== 'exhausted'
+});
+const agenda = agendaConfig
+  ? createAgenda({ ...agendaConfig, persona, sessionLog, onWarning: announceAgenda })
+  : null;
+const toolRunner = createToolRunner({
+  persona,
+  sessionLog,
+  taskStore,
+  controls: { leave: leaveMeeting, setMuted, setPaused },
+  search: EXA_API_KEY
+    ? (query, count) => budget.search(query, () => {
+      metrics.searches.inc();
+      return searchExa(query, { apiKey: EXA_API_KEY, count });
+    })
+    : null,
+  agenda,
+  redact: redactor.redact
+});
+const recorder = recordingConfig
+  ? createRecorder({ ...recordingConfig, sessionId: sessionLog.sessionId, sampleRate: SAMPLE_RATE, sessionLog })
+  : null;
+
 // State
-let conversationHistory = [];
+const conversationHistory = [];
 let isProcessingResponse = false;
-let parecord = null;
 let isMuted = false;
 let isPaused = false;
+let currentUtteranceId = null;
+let currentLanguage = languages.current;  // of the utterance being answered
+let isLeaving = false;
+let isShuttingDown = false;
+let exitSummary = null;  // summary started by leave_meeting
+const activePlaybacks = new Set();
+const utteranceQueue = [];  // { transcript, utteranceId, language, speechStoppedAt, transcribedAt }
+let lastSpeechStoppedAt = null;
+let speechStartSample = null;  // recording offsets of the utterance being transcribed
+let lastSpeechSamples = null;
+let currentTurn = null;  // metrics timer for the turn being answered
+let budgetNoticeGiven = false;
 
 // Pending search requests (id -> { resolve, reject, timeout })
 const pendingSearches = new Map();
 
-// Listen for search results from stdin (OpenClaw agent writes JSON)
+// Listen for search results from stdin (OpenClaw agent writes JSON),
+// unless stdin is carrying audio
 import * as readline from 'readline';
-const rl = readline.createInterface({ input: process.stdin });
-rl.on('line', (line) => {
+const rl = AUDIO_INPUT === 'stdin' ? null : readline.createInterface({ input: process.stdin });
+rl?.on('line', (line) => {
   try {
     const data = JSON.parse(line);
     if (data.type === 'search_results' && data.id) {
@@ -195,462 +257,638 @@ function waitForSearchResults(searchId, timeoutMs = 30000) {
   });
 }
 
-// Connect to OpenAI Realtime API for transcription only
-const ws = new WebSocket('wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview', {
-  headers: {
-    'Authorization': `Bearer ${OPENAI_API_KEY}`,
-    'OpenAI-Beta': 'realtime=v1'
+// Transcription events from the STT provider
+stt.on('ready', () => {
+  startAudioCapture();
+});
+
+stt.on('speech_started', () => {
+  if (recorder) speechStartSample = recorder.position;
+  if (!isPaused) {
+    console.log('🎤 Speech detected');
+    if (BARGE_IN) interruptPlayback('participant started talking');
   }
 });
 
-ws.on('open', () => {
-  console.log('✅ Connected to OpenAI Realtime API');
-  
-  // Configure for transcription only (no audio output)
-  ws.send(JSON.stringify({
-    type: 'session.update',
-    session: {
-      modalities: ['text'],
-      instructions: 'Transcribe the user\'s speech accurately. Do not generate responses.',
-      input_audio_format: 'pcm16',
-      input_audio_transcription: {
-        model: 'whisper-1'
-      },
-      turn_detection: {
-        type: 'server_vad',
-        threshold: 0.5,
-        prefix_padding_ms: 300,
-        silence_duration_ms: 700
-      }
-    }
-  }));
+stt.on('speech_stopped', () => {
+  lastSpeechStoppedAt = Date.now();
+  if (recorder) lastSpeechSamples = { startSample: speechStartSample ?? recorder.position, endSample: recorder.position };
+  if (!isPaused) console.log('🔇 Speech ended');
 });
 
-ws.on('message', async (data) => {
-  const event = JSON.parse(data.toString());
-  
-  switch (event.type) {
-    case 'session.created':
-      console.log('📡 Session created');
-      break;
-      
-    case 'session.updated':
-      console.log('✅ Session configured (transcription mode)');
-      startAudioCapture();
-      break;
-      
-    case 'input_audio_buffer.speech_started':
-      if (!isPaused) console.log('🎤 Speech detected');
-      break;
-      
-    case 'input_audio_buffer.speech_stopped':
-      if (!isPaused) console.log('🔇 Speech ended');
-      break;
-      
-    case 'conversation.item.input_audio_transcription.completed':
-      if (event.transcript && event.transcript.trim() && !isPaused) {
-        console.log(`📝 User: "${event.transcript}"`);
-        await handleUserSpeech(event.transcript);
-      }
-      break;
-      
-    case 'error':
-      console.error('❌ Error:', event.error);
-      break;
+// Not logged: the final transcript replaces it
+stt.on('partial', ({ text }) => {
+  if (!isPaused) liveFeed.partial(text);
+});
+
+stt.on('transcript', async ({ text }) => {
+  if (text && text.trim() && !isPaused) {
+    const timing = { speechStoppedAt: lastSpeechStoppedAt, transcribedAt: Date.now() };
+    const samples = lastSpeechSamples || {};
+    lastSpeechStoppedAt = null;
+    lastSpeechSamples = null;
+    const echo = echoGuard.matchEcho(text);
+    if (echo) {
+      console.log(`🔁 Ignored echo of own voice: "${redactor.redact(text)}"`);
+      sessionLog.record('echo', { text, similarity: echo.similarity });
+      return;
+    }
+    const language = languages.detect(text);
+    console.log(`📝 User: "${redactor.redact(text)}"${languages.multilingual ? ` [${language}]` : ''}`);
+    const utteranceId = sessionLog.nextUtteranceId();
+    const addressedBy = wakeGate.check(text, { botSpeaking: activePlaybacks.size > 0 });
+    sessionLog.record('utterance', { utteranceId, text, addressedBy, language, ...samples });
+    // Only speech naming the bot is left to the model to move the agenda
+    agenda?.observe(text, { addressed: addressedBy === 'name' });
+    // Unaddressed speech is still context for later questions
+    addUserUtterance(text);
+    if (!addressedBy) {
+      console.log('💤 Not addressed, kept as context');
+      return;
+    }
+    await handleUserSpeech({ transcript: text, utteranceId, language, ...timing });
   }
 });
 
-ws.on('error', (err) => {
-  console.error('❌ WebSocket error:', err.message);
+stt.on('error', (err) => {
+  console.error('❌ STT error:', err.message);
+  sessionLog.record('error', { source: 'stt', message: err.message });
 });
 
-ws.on('close', () => {
-  console.log('🔌 Connection closed');
-  cleanup();
-  process.exit(0);
+// Conversation history and mute/pause state live here, so they survive
+// the provider reconnecting underneath us
+stt.on('reconnecting', ({ attempt, delayMs, reason }) => {
+  console.log(`🔄 STT connection lost (${reason}), reconnecting in ${delayMs}ms (attempt ${attempt})`);
+  sessionLog.record('connection', { status: 'reconnecting', attempt, delayMs, reason });
+});
+
+stt.on('reconnected', ({ replayedMs, droppedMs }) => {
+  console.log(`✅ STT reconnected, replayed ${replayedMs}ms of buffered audio`);
+  if (droppedMs > 0) console.log(`⚠️ Dropped ${droppedMs}ms of audio captured while disconnected`);
+  sessionLog.record('connection', { status: 'reconnected', replayedMs, droppedMs });
 });
 
-async function handleUserSpeech(transcript) {
+stt.on('close', () => {
+  console.log('🔌 STT connection closed');
+  sessionLog.record('connection', { status: 'closed' });
+  shutdown('connection_closed');
+});
+
+stt.start();
+
+// Every transcription is kept as context, even if no response is generated for it
+function addUserUtterance(transcript) {
+  conversationHistory.push({ role: 'user', content: transcript });
+  // Older turns move into the meeting memory
+  memory.trim(conversationHistory);
+}
+
+// Hold an utterance that arrived mid-response; the oldest is dropped when
+// the queue is full (it stays in conversationHistory as context)
+function enqueueUtterance(utterance) {
+  if (UTTERANCE_QUEUE_DEPTH <= 0) {
+    console.log('⏳ Still processing previous response, kept as context only');
+    return;
+  }
+  utteranceQueue.push(utterance);
+  if (utteranceQueue.length > UTTERANCE_QUEUE_DEPTH) {
+    const dropped = utteranceQueue.shift();
+    console.log(`⚠️ Utterance queue full, ${dropped.utteranceId} kept as context only`);
+    sessionLog.record('queue_overflow', { utteranceId: dropped.utteranceId });
+  }
+  console.log(`⏳ Still processing previous response, queued (${utteranceQueue.length}/${UTTERANCE_QUEUE_DEPTH})`);
+}
+
+async function handleUserSpeech(utterance) {
   if (isProcessingResponse) {
-    console.log('⏳ Still processing previous response, queuing...');
+    enqueueUtterance(utterance);
     return;
   }
   
   isProcessingResponse = true;
   
   try {
-    // Add to conversation history
-    conversationHistory.push({ role: 'user', content: transcript });
+    await respondToTurn([utterance]);
     
-    // Keep last 10 exchanges for context
-    if (conversationHistory.length > 20) {
-      conversationHistory = conversationHistory.slice(-20);
+    // Work through whatever was said while we were busy
+    while (utteranceQueue.length > 0 && !isPaused) {
+      const batch = UTTERANCE_QUEUE_MODE === 'sequential'
+        ? [utteranceQueue.shift()]
+        : utteranceQueue.splice(0);
+      await respondToTurn(batch, { queued: true });
     }
-    
+  } finally {
+    isProcessingResponse = false;
+  }
+}
+
+// Generate and speak one response. Queued turns get a hint naming the
+// utterances to answer, since later speech is already in the history.
+async function respondToTurn(utterances, { queued = false } = {}) {
+  const last = utterances[utterances.length - 1];
+  const utteranceId = last.utteranceId;
+  currentLanguage = last.language;
+  // Out of budget: the transcript is still logged, but nothing is answered
+  if (budget.check() === 'exhausted') {
+    await announceBudgetExhausted(utteranceId);
+    return;
+  }
+  budgetNoticeGiven = false;
+  currentUtteranceId = utteranceId;
+  currentTurn = metrics.startTurn(last);
+  
+  const hint = [];
+  if (queued) {
+    const quoted = utterances.map(u => `"${u.transcript}"`).join('\n');
+    hint.push({
+      role: 'system',
+      content: `While you were answering, this was said:\n${quoted}\nRespond to it now if it was addressed to you; otherwise stay silent.`
+    });
+  }
+  
+  try {
+    currentTurn.mark('llmStart');
+    if (streaming) {
+      // Tool calls arrive at the end of the stream; run them once the spoken part has played
+      const result = await streamReply(hint, utteranceId);
+      for (const toolCall of result.tool_calls || []) {
+        await handleToolCall(toolCall, { spokenReply: Boolean(result.content) });
+      }
+      return;
+    }
+
     // Generate response with function calling
-    const result = await generateResponse();
+    const result = await generateResponse(hint);
+    currentTurn.mark('completion');
     
     // Check for tool calls
     if (result.tool_calls && result.tool_calls.length > 0) {
       for (const toolCall of result.tool_calls) {
-        await handleToolCall(toolCall);
+        await handleToolCall(toolCall, { spokenReply: Boolean(result.content) });
       }
     }
     
     // Speak the response if there is one and we're not muted
     if (result.content && !isMuted) {
-      console.log(`🗣️ Claw: "${result.content}"`);
-      conversationHistory.push({ role: 'assistant', content: result.content });
-      await speakElevenLabs(result.content);
+      console.log(`🗣️ ${persona.name}: "${redactor.redact(result.content)}"`);
+      const reply = { role: 'assistant', content: result.content };
+      conversationHistory.push(reply);
+      sessionLog.record('reply', { text: result.content, inReplyTo: utteranceId, language: currentLanguage });
+      if (await speak(result.content)) markInterrupted(reply, utteranceId);
     }
     
   } catch (err) {
     console.error('❌ Response error:', err.message);
+    sessionLog.record('error', { source: 'response', message: err.message });
   } finally {
-    isProcessingResponse = false;
+    sessionLog.record('turn_metrics', currentTurn.finish());
+    currentTurn = null;
   }
 }
 
-async function handleToolCall(toolCall) {
-  const funcName = toolCall.function.name;
-  console.log(`🔧 Tool call: ${funcName}`);
-  
-  switch (funcName) {
-    case 'leave_meeting':
-      console.log('👋 Leaving meeting...');
-      // Acknowledge before signaling
-      if (!isMuted) {
-        await speakElevenLabs("Okay, signing off!");
-      }
-      // Signal to parent agent via stdout (agent must poll process logs)
-      console.log('SIGNAL:LEAVE_MEETING');
-      isPaused = true;  // Stop processing further speech
-      // Wait for agent to kill us after clicking Leave
-      setTimeout(() => {
-        console.log('⏱️ Timeout waiting for agent, exiting anyway');
-        cleanup();
-        process.exit(0);
-      }, 60000);  // 60s for agent to poll and act
-      break;
-      
-    case 'mute_self':
-      if (isMuted) {
-        console.log('🔇 Already muted, ignoring duplicate call');
-        return;
+// Said once each time the budget runs out (it can recover when an hourly cap rolls over)
+async function announceBudgetExhausted(utteranceId) {
+  if (budgetNoticeGiven || isMuted) return;
+  budgetNoticeGiven = true;
+  const text = persona.phrase('budgetExhausted');
+  console.log(`🗣️ ${persona.name}: "${redactor.redact(text)}"`);
+  conversationHistory.push({ role: 'assistant', content: text });
+  sessionLog.record('reply', { text, inReplyTo: utteranceId, source: 'budget' });
+  await speak(text);
+}
+
+// Agenda time warnings (lib/agenda.js). Returns false while the bot is busy
+// talking, so the agenda tries again a few seconds later.
+function announceAgenda(text) {
+  if (isMuted || isPaused) return true;
+  if (isProcessingResponse || activePlaybacks.size > 0) return false;
+  console.log(`🗣️ ${persona.name}: "${redactor.redact(text)}"`);
+  conversationHistory.push({ role: 'assistant', content: text });
+  sessionLog.record('reply', { text, inReplyTo: null, source: 'agenda' });
+  speak(text, { inReplyTo: null }).catch((err) => {
+    console.error('❌ TTS error:', err.message);
+    sessionLog.record('error', { source: 'tts', message: err.message });
+  });
+  return true;
+}
+
+// Run a tool through the shared runner (lib/meeting-tools.js), then speak
+// its acknowledgement or answer from its results
+async function handleToolCall(toolCall, { spokenReply = false } = {}) {
+  const result = await toolRunner.run(toolCall.function.name, toolCall.function.arguments, { utteranceId: currentUtteranceId, spokenReply });
+  if (result.note) conversationHistory.push({ role: 'assistant', content: result.note });
+  if (result.say && !isMuted) await speak(result.say);
+  result.after?.();
+  if (!result.reply) return;
+
+  // Feed search results back for a spoken summary
+  const resultsText = result.output.results.map((r, i) => `${i+1}. ${r.title}: ${r.snippet}`).join('\n');
+  conversationHistory.push({ role: 'system', content: `Search results:\n${resultsText}\n\n${SEARCH_ANSWER_RULES}` });
+  try {
+    if (streaming) {
+      await streamReply([], currentUtteranceId);
+      return;
+    }
+    const summary = await generateResponse();
+    if (summary.content && !isMuted) {
+      console.log(`🗣️ ${persona.name}: "${redactor.redact(summary.content)}"`);
+      const reply = { role: 'assistant', content: summary.content };
+      conversationHistory.push(reply);
+      sessionLog.record('reply', { text: summary.content, inReplyTo: currentUtteranceId, language: currentLanguage });
+      if (await speak(summary.content)) markInterrupted(reply, currentUtteranceId);
+    }
+  } catch (err) {
+    console.error('❌ Search error:', err.message);
+    sessionLog.record('error', { source: 'web_search', message: err.message });
+    if (!isMuted) {
+      await speak(persona.phrase('searchFailed'));
+    }
+  }
+}
+
+function buildMessages(extraMessages) {
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    ...[memory.message()].filter(Boolean),
+    ...(agenda ? [{ role: 'system', content: agenda.describe() }] : []),
+    ...conversationHistory,
+    ...(languages.multilingual ? [{ role: 'system', content: replyLanguageHint(currentLanguage) }] : []),
+    ...(budget.level === 'low' ? [{ role: 'system', content: LOW_BUDGET_HINT }] : []),
+    ...extraMessages
+  ];
+}
+
+// Replies get shorter as the budget runs low
+function replyMaxTokens() {
+  return budget.level === 'low' ? LOW_BUDGET_MAX_TOKENS : REPLY_MAX_TOKENS;
+}
+
+async function generateResponse(extraMessages = []) {
+  return llm.complete({ messages: buildMessages(extraMessages), tools: MEETING_TOOLS, maxTokens: replyMaxTokens(), temperature: 0.7 });
+}
+
+// Stream a reply and speak it sentence by sentence while the rest is still
+// generating. Resolves with { content, tool_calls } after playback ends.
+async function streamReply(extraMessages, utteranceId) {
+  const speech = isMuted ? null : startSpeech();
+  const chunker = createSentenceChunker();
+  let result = { content: null, tool_calls: undefined };
+  try {
+    const events = llm.stream({ messages: buildMessages(extraMessages), tools: MEETING_TOOLS, maxTokens: replyMaxTokens(), temperature: 0.7 });
+    for await (const event of events) {
+      if (event.type === 'text') {
+        currentTurn?.mark('llmFirstToken');
+        for (const sentence of chunker.push(event.text)) speech?.push(sentence);
+      } else if (event.type === 'done') {
+        currentTurn?.mark('completion');
+        result = event;
       }
-      isMuted = true;
-      console.log('🔇 Muted - will not speak');
-      console.log('SIGNAL:MUTED');
-      break;
-      
-    case 'unmute_self':
-      if (!isMuted) {
-        console.log('🔊 Already unmuted, ignoring duplicate call');
-        return;
+    }
+    const rest = chunker.flush();
+    if (rest) speech?.push(rest);
+  } finally {
+    speech?.end();
+  }
+
+  if (!speech) return result;
+  if (result.content) {
+    console.log(`🗣️ ${persona.name}: "${redactor.redact(result.content)}"`);
+    const reply = { role: 'assistant', content: result.content };
+    conversationHistory.push(reply);
+    sessionLog.record('reply', { text: result.content, inReplyTo: utteranceId, language: currentLanguage });
+    if (await speech.done) markInterrupted(reply, utteranceId);
+  } else {
+    await speech.done;
+  }
+  return result;
+}
+
+// Speak text via the TTS provider. Resolves true if playback was cut off by
+// interruptPlayback(), false otherwise.
+async function speak(text, options) {
+  if (isMuted) {
+    console.log('🔇 (muted, skipping TTS)');
+    return false;
+  }
+  
+  const speech = startSpeech(options);
+  speech.push(text);
+  speech.end();
+  return speech.done;
+}
+
+// One continuous playback fed chunk by chunk (e.g. sentences of a streamed
+// reply). Each push() starts its TTS request right away; the audio is written
+// to a single player in order, so chunks play back-to-back without gaps.
+// `done` resolves true if the playback was interrupted.
+function startSpeech({ inReplyTo = currentUtteranceId, language = currentLanguage } = {}) {
+  const playback = { abort: new AbortController(), player: null, startedAt: null, startSample: null, interrupted: false, settled: false, finish: null };
+  activePlaybacks.add(playback);
+  const pending = [];  // synthesize() promises, in playback order
+  const turn = currentTurn;
+  let ended = false;
+  let pumping = false;
+  
+  const done = new Promise((resolve, reject) => {
+    playback.finish = (err) => {
+      if (playback.settled) return;
+      playback.settled = true;
+      activePlaybacks.delete(playback);
+      wakeGate.keepOpen();
+      if (playback.player) {
+        turn?.mark('playbackEnd');
+        echoGuard.playbackEnded();
       }
-      isMuted = false;
-      console.log('🔊 Unmuted - resuming speech');
-      console.log('SIGNAL:UNMUTED');
-      // No spoken response here — prevents interrupting the conversation
-      break;
-      
-    case 'pause_listening':
-      isPaused = true;
-      console.log('⏸️ Paused - not processing speech');
-      console.log('SIGNAL:PAUSED');
-      if (!isMuted) {
-        await speakElevenLabs("I'll stop listening now. Say my name when you want me back.");
+      if (playback.startSample !== null) {
+        sessionLog.record('playback', { inReplyTo, startSample: playback.startSample, endSample: recorder.outputPosition(), interrupted: playback.interrupted });
       }
-      break;
-      
-    case 'resume_listening':
-      isPaused = false;
-      console.log('▶️ Resumed - processing speech');
-      console.log('SIGNAL:RESUMED');
-      if (!isMuted) {
-        await speakElevenLabs("I'm listening again. How can I help?");
+      // Errors caused by tearing down an interrupted playback are expected
+      if (err && !playback.interrupted) {
+        playback.abort.abort();
+        if (playback.player) playback.player.kill();
+        reject(err);
+      } else {
+        resolve(playback.interrupted);
       }
-      break;
-      
-    case 'web_search':
-      try {
-        const args = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
-        const searchQuery = args.query;
-        const searchCount = args.count || 3;
-        if (!searchQuery) {
-          console.log('⚠️ web_search called without query');
-          return;
-        }
-        
-        if (!EXA_API_KEY) {
-          console.log('⚠️ EXA_API_KEY not set');
-          if (!isMuted) {
-            await speakElevenLabs("Web search isn't configured.");
-          }
-          return;
-        }
-        
-        console.log(`🔍 Searching Exa for: "${searchQuery}"`);
-        const results = await searchExa(searchQuery, searchCount);
-        
-        if (!results || results.length === 0) {
-          if (!isMuted) {
-            await speakElevenLabs("I couldn't find any results for that.");
-          }
+    };
+  });
+  
+  // Write synthesized chunks to the player as they become ready
+  async function pump() {
+    if (pumping) return;
+    pumping = true;
+    try {
+      while (pending.length > 0 && !playback.settled) {
+        const audio = await pending.shift();
+        if (playback.settled) {
+          audio.destroy();
           return;
         }
-        
-        // Feed results to GPT for spoken summary
-        const resultsText = results.map((r, i) => `${i+1}. ${r.title}: ${r.snippet}`).join('\n');
-        console.log(`📄 Got ${results.length} results`);
-        conversationHistory.push({ role: 'assistant', content: `[Searched for "${searchQuery}"]` });
-        conversationHistory.push({ role: 'system', content: `Search results:\n${resultsText}\n\nRULES: Answer ONLY what was asked. For places/venues, list 2-3 options with name and address only. Example format: "There's [Name] at [Address], [Name] at [Address], and [Name] at [Address]." No explanations, no suggestions, no filler. One sentence.` });
-        const summary = await generateResponse();
-        if (summary.content && !isMuted) {
-          console.log(`🗣️ Claw: "${summary.content}"`);
-          conversationHistory.push({ role: 'assistant', content: summary.content });
-          await speakElevenLabs(summary.content);
+        if (!playback.player) {
+          audio.once('data', () => turn?.mark('firstAudio'));
+          const player = audioSink.open({ sampleRate: tts.sampleRate });
+          playback.player = player;
+          playback.startedAt = Date.now();
+          echoGuard.playbackStarted();
+          player.on('close', () => playback.finish());
+          player.on('error', playback.finish);
         }
-      } catch (err) {
-        console.error('❌ Search error:', err.message);
-        if (!isMuted) {
-          await speakElevenLabs("Sorry, the search failed.");
+        if (recorder) {
+          playback.startSample ??= recorder.outputPosition();
+          audio.on('data', (chunk) => recorder.writeOutput(chunk, tts.sampleRate));
         }
+        await pipeChunk(audio, playback.player.stdin);
       }
-      break;
-
-    default:
-      console.log(`⚠️ Unknown tool: ${funcName}`);
-  }
-}
-
-async function generateResponse() {
-  return new Promise((resolve, reject) => {
-    const messages = [
-      { role: 'system', content: SYSTEM_PROMPT },
-      ...conversationHistory
-    ];
-    
-    const postData = JSON.stringify({
-      model: 'gpt-4o-mini',
-      messages,
-      tools: MEETING_TOOLS,
-      tool_choice: 'auto',
-      max_tokens: 150,
-      temperature: 0.7
-    });
-    
-    const req = https.request({
-      hostname: 'api.openai.com',
-      path: '/v1/chat/completions',
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData)
+      if (ended && !playback.settled) {
+        // The player's 'close' settles the promise once the audio has drained
+        if (playback.player) playback.player.stdin.end();
+        else playback.finish();
       }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          const json = JSON.parse(data);
-          if (json.choices && json.choices[0]) {
-            const message = json.choices[0].message;
-            resolve({
-              content: message.content,
-              tool_calls: message.tool_calls
-            });
-          } else {
-            reject(new Error('No response from API'));
-          }
-        } catch (e) {
-          reject(e);
-        }
-      });
-    });
-    
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
-  });
+    } catch (err) {
+      playback.finish(err);
+    } finally {
+      pumping = false;
+    }
+  }
+  
+  function push(text) {
+    if (playback.settled || ended || !text.trim()) return;
+    turn?.mark('ttsRequest');
+    echoGuard.addOutput(text);
+    // Rewritten for speech in the reply's language, which also picks the voice
+    const request = tts.synthesize(speechNormalizer.normalize(text, language), { signal: playback.abort.signal, language });
+    request.catch(() => {});  // surfaced by pump() in order
+    pending.push(request);
+    pump();
+  }
+  
+  function end() {
+    ended = true;
+    pump();
+  }
+  
+  return { push, end, done };
 }
 
-async function searchExa(query, count = 3) {
+// Pipe one TTS stream into the player without closing it
+function pipeChunk(audio, stdin) {
   return new Promise((resolve, reject) => {
-    const postData = JSON.stringify({
-      query: query,
-      numResults: count,
-      type: 'auto',
-      userLocation: 'CA',
-      contents: {
-        summary: {
-          query: query
-        }
-      }
-    });
-    
-    const req = https.request({
-      hostname: 'api.exa.ai',
-      path: '/search',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': EXA_API_KEY,
-        'Content-Length': Buffer.byteLength(postData)
-      }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          const json = JSON.parse(data);
-          if (json.error) {
-            reject(new Error(json.error));
-            return;
-          }
-          const results = (json.results || []).slice(0, count).map(r => ({
-            title: r.title || '',
-            snippet: r.summary || r.text || '',
-            url: r.url || ''
-          }));
-          resolve(results);
-        } catch (e) {
-          reject(e);
-        }
-      });
-    });
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
+    audio.once('end', resolve);
+    audio.once('close', resolve);
+    audio.once('error', reject);
+    audio.pipe(stdin, { end: false });
   });
 }
 
-// Expand common abbreviations for better TTS pronunciation
-function expandAbbreviations(text) {
-  return text
-    .replace(/\bSt\b(?=\s|,|$)/g, 'Street')
-    .replace(/\bAve\b(?=\s|,|$)/g, 'Avenue')
-    .replace(/\bBlvd\b(?=\s|,|$)/g, 'Boulevard')
-    .replace(/\bDr\b(?=\s|,|$)/g, 'Drive')
-    .replace(/\bRd\b(?=\s|,|$)/g, 'Road')
-    .replace(/\bLn\b(?=\s|,|$)/g, 'Lane')
-    .replace(/\bCt\b(?=\s|,|$)/g, 'Court')
-    .replace(/\bPl\b(?=\s|,|$)/g, 'Place');
+// Flag a reply that was talked over, so the model knows it wasn't fully heard
+function markInterrupted(reply, inReplyTo) {
+  const text = reply.content;
+  reply.content = `${text} [interrupted by a participant before finishing]`;
+  sessionLog.record('interrupted', { text, inReplyTo });
 }
 
-async function speakElevenLabs(text) {
-  if (isMuted) {
-    console.log('🔇 (muted, skipping TTS)');
-    return;
+// Barge-in: cancel in-flight TTS requests and stop playback immediately.
+// Returns the number of playbacks that were cut off.
+function interruptPlayback(reason) {
+  let count = 0;
+  for (const playback of activePlaybacks) {
+    if (playback.interrupted) continue;
+    playback.interrupted = true;
+    count++;
+    playback.abort.abort();
+    // The player's 'close' settles the promise; settle here if it never started
+    if (playback.player) playback.player.kill();
+    else playback.finish();
   }
-  
-  // Expand abbreviations for proper pronunciation
-  const processedText = expandAbbreviations(text);
-  
-  return new Promise((resolve, reject) => {
-    const postData = JSON.stringify({
-      text: processedText,
-      model_id: 'eleven_turbo_v2_5',
-      voice_settings: {
-        stability: 0.5,
-        similarity_boost: 0.75
-      },
-      apply_text_normalization: 'on'
-    });
-    
-    const req = https.request({
-      hostname: 'api.elevenlabs.io',
-      path: `/v1/text-to-speech/${ELEVENLABS_VOICE_ID}?output_format=pcm_24000`,
-      method: 'POST',
-      headers: {
-        'xi-api-key': ELEVENLABS_API_KEY,
-        'Content-Type': 'application/json',
-        'Accept': 'audio/pcm'
-      }
-    }, (res) => {
-      if (res.statusCode !== 200) {
-        let errData = '';
-        res.on('data', chunk => errData += chunk);
-        res.on('end', () => reject(new Error(`ElevenLabs error ${res.statusCode}: ${errData}`)));
-        return;
-      }
-      
-      const paplayProc = spawn('paplay', [
-        '--device=' + OUTPUT_DEVICE,
-        '--format=s16le',
-        '--rate=24000',
-        '--channels=1',
-        '--raw'
-      ], { stdio: ['pipe', 'ignore', 'ignore'] });
-      
-      res.pipe(paplayProc.stdin);
-      
-      paplayProc.on('close', () => resolve());
-      paplayProc.on('error', reject);
-    });
-    
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
-  });
+  if (count > 0) {
+    // Audio still queued for the recording was never heard
+    recorder?.dropOutput();
+    console.log(`✋ Playback interrupted (${reason})`);
+  }
+  return count;
 }
 
 function startAudioCapture() {
   console.log('🎧 Starting audio capture...');
   
-  parecord = spawn('parec', [
-    '--device=' + INPUT_DEVICE,
-    '--format=s16le',
-    '--rate=' + SAMPLE_RATE,
-    '--channels=1',
-    '--latency-msec=50'
-  ]);
-  
-  parecord.stdout.on('data', (chunk) => {
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify({
-        type: 'input_audio_buffer.append',
-        audio: chunk.toString('base64')
-      }));
-    }
+  audioSource.on('data', (chunk) => {
+    recorder?.writeInput(chunk);
+    stt.sendAudio(echoGuard.filterAudio(chunk));
+    metrics.sttAudioSeconds.inc(chunk.length / (SAMPLE_RATE * 2));
   });
   
-  parecord.stderr.on('data', (data) => {
-    console.error('parec:', data.toString());
+  audioSource.on('error', (err) => {
+    console.error('❌ Audio input error:', err.message);
+    sessionLog.record('error', { source: 'audio_input', message: err.message });
   });
   
-  parecord.on('error', (err) => {
-    console.error('❌ parec error:', err.message);
+  // File/stdin input: shut down once the replay has been fully answered
+  audioSource.on('end', () => {
+    console.log(`⏹️ Audio input ended, exiting after ${INPUT_END_GRACE_MS}ms of quiet`);
+    sessionLog.record('input_end', {});
+    const waitForIdle = () => {
+      if (isProcessingResponse || activePlaybacks.size > 0) {
+        setTimeout(waitForIdle, 500);
+        return;
+      }
+      shutdown('input_ended');
+    };
+    setTimeout(waitForIdle, INPUT_END_GRACE_MS);
   });
   
+  audioSource.start();
   console.log('✅ Audio capture started');
 }
 
-function writeSignal(signal) {
-  try {
-    fs.writeFileSync(SIGNAL_FILE, signal + '\n' + new Date().toISOString());
-    console.log(`📄 Signal written to ${SIGNAL_FILE}`);
-  } catch (err) {
-    console.error('⚠️ Could not write signal file:', err.message);
+// Meeting controls shared by voice tool calls and the control API.
+// `source` is 'voice' or 'control' and ends up in the session log.
+
+function leaveMeeting(source) {
+  if (isLeaving) return;
+  isLeaving = true;
+  console.log('👋 Leaving meeting...');
+  isPaused = true;  // Stop processing further speech
+  recordState('leave_meeting', source);
+  emitSignal('LEAVE_MEETING');
+  // Start the summary now; the agent may kill us as soon as it has left
+  if (SUMMARY_ON_EXIT) exitSummary = summarizer.run('leave_meeting');
+  // Wait for agent to kill us after clicking Leave
+  setTimeout(() => {
+    console.log('⏱️ Timeout waiting for agent, exiting anyway');
+    shutdown('leave_meeting');
+  }, 60000);  // 60s for agent to act on the signal
+}
+
+function setMuted(muted, source) {
+  if (isMuted === muted) {
+    console.log(muted ? '🔇 Already muted, ignoring duplicate call' : '🔊 Already unmuted, ignoring duplicate call');
+    return false;
   }
+  isMuted = muted;
+  console.log(muted ? '🔇 Muted - will not speak' : '🔊 Unmuted - resuming speech');
+  recordState(muted ? 'mute_self' : 'unmute_self', source);
+  emitSignal(muted ? 'MUTED' : 'UNMUTED');
+  return true;
+}
+
+function setPaused(paused, source) {
+  if (isPaused === paused) return false;
+  isPaused = paused;
+  console.log(paused ? '⏸️ Paused - not processing speech' : '▶️ Resumed - processing speech');
+  recordState(paused ? 'pause_listening' : 'resume_listening', source);
+  emitSignal(paused ? 'PAUSED' : 'RESUMED');
+  return true;
 }
 
-function cleanup() {
+function getState() {
+  return { sessionId: sessionLog.sessionId, isMuted, isPaused, isProcessingResponse, queuedUtterances: utteranceQueue.length };
+}
+
+// Push a signal to control API subscribers. The SIGNAL:* stdout line is kept
+// for agents that still poll process logs.
+function emitSignal(signal) {
+  console.log(`SIGNAL:${signal}`);
+  if (controlServer) controlServer.broadcast('signal', { signal, state: getState() });
+}
+
+// Log the current mute/pause state after a change
+function recordState(change, source) {
+  sessionLog.record('state', { muted: isMuted, paused: isPaused, change, source });
+}
+
+// Commands accepted by the control API (POST /<name>)
+const controlCommands = {
+  mute: async () => ({ changed: setMuted(true, 'control') }),
+  unmute: async () => ({ changed: setMuted(false, 'control') }),
+  pause: async () => ({ changed: setPaused(true, 'control') }),
+  resume: async () => ({ changed: setPaused(false, 'control') }),
+  leave: async () => {
+    leaveMeeting('control');
+    return {};
+  },
+  speak: async ({ text }) => {
+    if (!text || typeof text !== 'string') throw new Error('"text" is required');
+    if (isMuted) throw Object.assign(new Error('Bridge is muted'), { statusCode: 409 });
+    console.log(`🗣️ ${persona.name} (control): "${redactor.redact(text)}"`);
+    conversationHistory.push({ role: 'assistant', content: text });
+    sessionLog.record('reply', { text, inReplyTo: null, source: 'control' });
+    // Don't hold the HTTP request open for the whole playback
+    speak(text, { inReplyTo: null }).catch((err) => {
+      console.error('❌ TTS error:', err.message);
+      sessionLog.record('error', { source: 'tts', message: err.message });
+    });
+    return {};
+  },
+  summarize: async () => {
+    const result = await summarizer.run('control');
+    if (!result) throw Object.assign(new Error('Summary failed, see session log'), { statusCode: 500 });
+    return result;
+  },
+  inject: async ({ text }) => {
+    if (!text || typeof text !== 'string') throw new Error('"text" is required');
+    conversationHistory.push({ role: 'system', content: text });
+    sessionLog.record('system_message', { text, source: 'control' });
+    console.log('💉 Injected system message');
+    return {};
+  },
+  agenda: async (body) => {
+    if (!agenda) throw Object.assign(new Error('No agenda loaded (set AGENDA_FILE)'), { statusCode: 409 });
+    return agenda.update(body, 'control').status;
+  }
+};
+
+// Read-only data for the control API (GET /<name>)
+const controlQueries = {
+  metrics: () => metrics.render(),
+  tasks: () => taskStore.toJSON(),
+  budget: () => budget.toJSON(),
+  memory: () => memory.toJSON(),
+  agenda: () => (agenda ? agenda.toJSON() : { title: null, current: null, items: [] })
+};
+
+const controlServer = controlConfig
+  ? startControlServer({ ...controlConfig, getState, commands: controlCommands, queries: controlQueries, live: liveFeed })
+  : null;
+
+let cleanedUp = false;
+function cleanup(reason = 'shutdown') {
+  // Closing the STT provider can re-enter shutdown through its 'close' event
+  if (cleanedUp) return;
+  cleanedUp = true;
   console.log('🧹 Cleaning up...');
-  if (parecord) parecord.kill();
-  if (ws.readyState === WebSocket.OPEN) ws.close();
+  sessionLog.record('metrics', metrics.snapshot());
+  agenda?.close();
+  recorder?.close();
+  sessionLog.end(reason);
+  if (controlServer) controlServer.close();
+  audioSource.stop();
+  audioSink.close();
+  stt.close();
+}
+
+// Write the summary (bounded by SUMMARY_TIMEOUT_MS), then exit.
+// A second signal while summarizing exits immediately.
+async function shutdown(reason) {
+  if (isShuttingDown) {
+    cleanup(reason);
+    process.exit(0);
+  }
+  isShuttingDown = true;
+  if (SUMMARY_ON_EXIT) {
+    const summary = exitSummary || summarizer.run(reason);
+    await Promise.race([summary, new Promise(resolve => setTimeout(resolve, SUMMARY_TIMEOUT_MS))]);
+  }
+  cleanup(reason);
+  process.exit(0);
 }
 
 process.on('SIGINT', () => {
   console.log('\n👋 Shutting down...');
-  cleanup();
-  process.exit(0);
+  shutdown('sigint');
 });
 
 process.on('SIGTERM', () => {
-  cleanup();
-  process.exit(0);
+  shutdown('sigterm');
 });
 
 console.log('💡 Voice commands: "leave the call", "mute yourself", "stop listening"');
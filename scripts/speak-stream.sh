@@ -1,6 +1,8 @@
 #!/bin/bash
 # Fast ElevenLabs TTS - download and play in parallel
 # Usage: speak-stream.sh "Hello, this is Claw"
+# Text is normalized for speech first (lib/speech-normalizer.js), with the
+# same SPEECH_NORMALIZE / SPEECH_LEXICON_FILE settings as the bridge
 
 TEXT="$1"
 DEVICE="${2:-VirtualMic}"
@@ -16,20 +18,34 @@ if [ -z "$TEXT" ]; then
 fi
 
 TMPFILE="/tmp/tts-stream-$$.mp3"
+LIB_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")/../lib" && pwd)"
+LANGUAGE="${LANGUAGES%%,*}"
+
+# Normalize the text and build the request body (JSON-escaped)
+BODY=$(node --input-type=module -e '
+const [libDir, text, model, language] = process.argv.slice(1);
+const { createSpeechNormalizer, getSpeechConfig, renderSpeechHints } = await import(`${libDir}/speech-normalizer.js`);
+const { elevenLabsHints } = await import(`${libDir}/providers/tts-elevenlabs.js`);
+let config;
+try {
+  config = getSpeechConfig();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+const spoken = createSpeechNormalizer(config).normalize(text, language);
+console.log(JSON.stringify({
+  text: renderSpeechHints(spoken, elevenLabsHints(model)),
+  model_id: model,
+  voice_settings: { stability: 0.3, similarity_boost: 0.7, style: 0.6 }
+}));
+' "$LIB_DIR" "$TEXT" "$MODEL_ID" "${LANGUAGE:-en}") || exit 1
 
 # Download audio
 curl -sS "https://api.elevenlabs.io/v1/text-to-speech/${VOICE_ID}/stream" \
   -H "xi-api-key: ${API_KEY}" \
   -H "Content-Type: application/json" \
-  -d "{
-    \"text\": \"${TEXT}\",
-    \"model_id\": \"${MODEL_ID}\",
-    \"voice_settings\": {
-      \"stability\": 0.3,
-      \"similarity_boost\": 0.7,
-      \"style\": 0.6
-    }
-  }" -o "$TMPFILE"
+  -d "$BODY" -o "$TMPFILE"
 
 # Play to virtual mic
 paplay --device="$DEVICE" "$TMPFILE"
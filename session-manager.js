@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Run the agent in several meetings at once (see lib/session-manager.js)
+ *
+ * Usage:
+ *   node session-manager.js start <meeting-url> [--name standup-a] [--bridge hybrid|realtime]
+ *                                 [--persona persona.json] [--no-chrome]
+ *   node session-manager.js list
+ *   node session-manager.js status <name>
+ *   node session-manager.js stop <name> | --all
+ *
+ * PulseAudio must already be running (pa-setup.sh restarts it, so don't run
+ * it or join.sh while managed sessions are up).
+ */
+
+import { createSessionManager, getSessionManagerConfig } from './lib/session-manager.js';
+
+const USAGE = `Usage:
+  node session-manager.js start <meeting-url> [--name <name>] [--bridge hybrid|realtime] [--persona <file>] [--no-chrome]
+  node session-manager.js list
+  node session-manager.js status <name>
+  node session-manager.js stop <name> | --all`;
+
+function option(args, flag) {
+  const index = args.indexOf(flag);
+  if (index === -1) return undefined;
+  const value = args[index + 1];
+  args.splice(index, 2);
+  return value;
+}
+
+function flag(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return false;
+  args.splice(index, 1);
+  return true;
+}
+
+function printSession(session) {
+  const status = session.bridgeAlive ? 'running' : 'stopped';
+  console.log(`${session.name.padEnd(20)} ${status.padEnd(8)} ${session.bridge.padEnd(8)} ` +
+    `debug :${session.ports.debugging}  control :${session.ports.control}  ${session.url || '-'}`);
+}
+
+const [command, ...args] = process.argv.slice(2);
+const manager = createSessionManager(getSessionManagerConfig());
+
+try {
+  switch (command) {
+    case 'start': {
+      const name = option(args, '--name');
+      const bridge = option(args, '--bridge');
+      const persona = option(args, '--persona');
+      const chrome = !flag(args, '--no-chrome');
+      const session = manager.start({
+        url: args[0],
+        name,
+        bridge,
+        chrome,
+        extraEnv: persona ? { PERSONA_FILE: persona } : {}
+      });
+      console.log(`✅ Session "${session.name}" started`);
+      console.log(`   Devices: ${session.devices.mic} → ${session.devices.micSource}, ${session.devices.meetingOutput}`);
+      console.log(`   Chrome: ${session.pids.chrome ? `PID ${session.pids.chrome}, debugging port ${session.ports.debugging}` : 'not started'}`);
+      console.log(`   Bridge: PID ${session.pids.bridge}, control API http://127.0.0.1:${session.ports.control}`);
+      console.log(`   Output: ${session.logPath}`);
+      break;
+    }
+
+    case 'list': {
+      const sessions = manager.list();
+      if (sessions.length === 0) {
+        console.log('No sessions');
+        break;
+      }
+      sessions.forEach(printSession);
+      break;
+    }
+
+    case 'status': {
+      if (!args[0]) throw new Error(USAGE);
+      console.log(JSON.stringify(await manager.inspect(args[0]), null, 2));
+      break;
+    }
+
+    case 'stop': {
+      const names = args[0] === '--all' ? manager.list().map(session => session.name) : args.slice(0, 1);
+      if (names.length === 0) throw new Error(args[0] === '--all' ? 'No sessions' : USAGE);
+      console.log(`⏹️ Stopping ${names.join(', ')} (waiting for the meeting summaries)...`);
+      await Promise.all(names.map(async (name) => {
+        const session = await manager.stop(name);
+        console.log(session.forced ? `⚠️ "${name}" did not exit in time and was killed` : `✅ "${name}" stopped`);
+      }));
+      break;
+    }
+
+    default:
+      console.error(USAGE);
+      process.exit(1);
+  }
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
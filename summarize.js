@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Post-meeting summary for a session log
+ *
+ * Writes <session>.summary.json and <session>.summary.md next to the log,
+ * using the configured LLM provider (LLM_PROVIDER, LLM_MODEL, ...).
+ *
+ * Usage: node summarize.js [sessions/<session-id>.jsonl]
+ *        (defaults to the newest log in SESSION_LOG_DIR)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLLM } from './lib/providers/index.js';
+import { summarizeSessionFile } from './lib/summarizer.js';
+import { loadPersona } from './lib/persona.js';
+
+function latestSessionLog(dir) {
+  if (!fs.existsSync(dir)) return undefined;
+  const logs = fs.readdirSync(dir)
+    .filter(name => name.endsWith('.jsonl'))
+    .map(name => path.join(dir, name))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return logs[0];
+}
+
+const logPath = process.argv[2] || latestSessionLog(process.env.SESSION_LOG_DIR || 'sessions');
+if (!logPath) {
+  console.error('Usage: node summarize.js <session.jsonl>');
+  process.exit(1);
+}
+
+try {
+  const { name: agentName } = loadPersona();
+  const llm = createLLM({ env: process.env, agentName });
+  console.log(`📋 Summarizing ${logPath} with ${llm.name} (${llm.model})...`);
+  const { report, jsonPath, mdPath } = await summarizeSessionFile({ logPath, llm, agentName });
+  console.log(`✅ ${report.decisions.length} decisions, ${report.notes.length} notes, ` +
+    `${report.action_items.length} action items, ${report.deferred_tasks.length} deferred tasks`);
+  console.log(`   ${mdPath}`);
+  console.log(`   ${jsonPath}`);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
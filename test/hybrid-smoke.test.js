@@ -0,0 +1,92 @@
+/**
+ * Smoke test: realtime-hybrid.js end to end with the mock providers
+ *
+ * No network, sound server or API keys: scripted utterances in, silence and
+ * discarded audio (AUDIO_INPUT=null, AUDIO_OUTPUT=null), and the session log
+ * checked for the turns the mock LLM should produce.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const REPO_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const TIMEOUT_MS = 30000;
+
+// Runs the bridge until it exits; resolves with its exit code, output and log records
+function runBridge(env) {
+  const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hybrid-smoke-'));
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(REPO_DIR, 'realtime-hybrid.js')], {
+      cwd: REPO_DIR,
+      env: {
+        PATH: process.env.PATH,
+        STT_PROVIDER: 'mock',
+        LLM_PROVIDER: 'mock',
+        TTS_PROVIDER: 'mock',
+        AUDIO_INPUT: 'null',
+        AUDIO_OUTPUT: 'null',
+        AUDIO_OUTPUT_PACE: 'off',
+        CONTROL_PORT: 'off',
+        SUMMARY_ON_EXIT: 'off',
+        SESSION_LOG_DIR: logDir,
+        MOCK_STT_INTERVAL_MS: '300',
+        ...env
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    child.stdout.on('data', chunk => output += chunk);
+    child.stderr.on('data', chunk => output += chunk);
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`Bridge still running after ${TIMEOUT_MS}ms:\n${output}`));
+    }, TIMEOUT_MS);
+    child.on('error', reject);
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      const logs = fs.readdirSync(logDir).filter(file => file.endsWith('.jsonl'));
+      const records = logs.length === 1
+        ? fs.readFileSync(path.join(logDir, logs[0]), 'utf8').trim().split('\n').map(line => JSON.parse(line))
+        : [];
+      fs.rmSync(logDir, { recursive: true, force: true });
+      resolve({ code, output, records });
+    });
+  });
+}
+
+test('answers a question and leaves on request', async () => {
+  const { code, output, records } = await runBridge({
+    MOCK_STT_UTTERANCES: 'Claw, what time is it?|Claw, leave the meeting.'
+  });
+  assert.equal(code, 0, output);
+  assert.match(output, /SIGNAL:LEAVE_MEETING/);
+
+  const types = records.map(record => record.type);
+  assert.equal(types[0], 'session_start');
+  assert.equal(types[types.length - 1], 'session_end');
+
+  const utterances = records.filter(record => record.type === 'utterance');
+  assert.deepEqual(utterances.map(u => u.text), ['Claw, what time is it?', 'Claw, leave the meeting.']);
+
+  const reply = records.find(record => record.type === 'reply');
+  assert.equal(reply.text, 'You said: what time is it?');
+  assert.equal(reply.inReplyTo, utterances[0].utteranceId);
+
+  const toolCall = records.find(record => record.type === 'tool_call');
+  assert.equal(toolCall.name, 'leave_meeting');
+  assert.equal(toolCall.inReplyTo, utterances[1].utteranceId);
+});
+
+test('keeps unaddressed speech as context without replying', async () => {
+  const { code, output, records } = await runBridge({
+    MOCK_STT_UTTERANCES: 'Let us look at the numbers.|Okay.'
+  });
+  assert.equal(code, 0, output);
+  assert.equal(records.filter(record => record.type === 'utterance').length, 2);
+  assert.equal(records.filter(record => record.type === 'reply').length, 0);
+});
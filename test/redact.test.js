@@ -0,0 +1,34 @@
+/**
+ * Redaction: what is scrubbed and what is left alone
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRedactor } from '../lib/redact.js';
+
+const { redact } = createRedactor({ enabled: true, terms: ['Acme Corp', 'Jane Doe'] });
+
+test('replaces emails, phone numbers, cards and listed terms', () => {
+  assert.equal(redact('Mail jane.doe@acme.com or call 555-0199'), 'Mail [EMAIL] or call [PHONE]');
+  assert.equal(redact('Reach me on +1 (415) 555-0199 or +4915112345678'), 'Reach me on [PHONE] or [PHONE]');
+  assert.equal(redact('Berlin office: (030) 1234567'), 'Berlin office: [PHONE]');
+  assert.equal(redact('Card 4111 1111 1111 1111, expires soon'), 'Card [CARD], expires soon');
+  assert.equal(redact('Jane Doe from ACME CORP'), '[REDACTED] from [REDACTED]');
+});
+
+test('leaves amounts, IDs, dates and versions alone', () => {
+  for (const text of [
+    '1000000 dollars',
+    'ID 20261019-065740',
+    'Order 4111 1111 1111 1112',
+    'On 2026-10-19 at 15:30',
+    'Version 1.2.3',
+    'Logs in sessions/20261019-063124.jsonl'
+  ]) {
+    assert.equal(redact(text), text);
+  }
+});
+
+test('passes text through when disabled', () => {
+  assert.equal(createRedactor().redact('call 555-0199'), 'call 555-0199');
+});
@@ -0,0 +1,29 @@
+/**
+ * Sentence chunker: where streamed reply text is split for TTS
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSentenceChunker } from '../lib/sentence-chunker.js';
+
+// Feeds the pieces in order, as a streamed reply arrives
+function chunk(pieces) {
+  const chunker = createSentenceChunker();
+  const sentences = pieces.flatMap(piece => chunker.push(piece));
+  const rest = chunker.flush();
+  return rest ? [...sentences, rest] : sentences;
+}
+
+test('splits at sentence ends but not after abbreviations', () => {
+  assert.deepEqual(chunk(['Talk to Dr. Smith about it. Thanks a lot.']), ['Talk to Dr. Smith about it.', 'Thanks a lot.']);
+});
+
+test('reads "No." as an abbreviation only before a number', () => {
+  assert.deepEqual(chunk(['The answer is no. Next item is the budget.']), ['The answer is no.', 'Next item is the budget.']);
+  assert.deepEqual(chunk(['Please see item No. 5 on the list. Then we are done.']), ['Please see item No. 5 on the list.', 'Then we are done.']);
+});
+
+test('waits for the next word after "No." to decide', () => {
+  assert.deepEqual(chunk(['The answer is no. ', 'Next item is the budget.']), ['The answer is no.', 'Next item is the budget.']);
+  assert.deepEqual(chunk(['Please see item No. ', '5 on the list.']), ['Please see item No. 5 on the list.']);
+});
@@ -0,0 +1,39 @@
+/**
+ * Speech normalizer: replies as the TTS voice should read them
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSpeechNormalizer, renderSpeechHints } from '../lib/speech-normalizer.js';
+
+const normalizer = createSpeechNormalizer({
+  lexicon: { NVDA: 'en-vidia', Kubernetes: { say: 'koo-ber-net-eez', ipa: 'ˌkuːbɚˈnɛtiz' } }
+});
+
+const cases = [
+  ['**Sure!** Revenue grew 15% to $3.2M 🚀', 'Sure! Revenue grew fifteen percent to three point two million dollars'],
+  ['NVDA rose 2.5x', 'en-vidia rose two point five times'],
+  ['Call 911 now.', 'Call nine one one now.'],
+  ['Your code: 4321.', 'Your code: four three two one.'],
+  ['Room 101 has 42 seats.', 'Room one hundred one has forty-two seats.'],
+  ['See https://www.github.com/foo or mail jane.doe@acme.com', 'See github dot com or mail jane dot doe at acme dot com'],
+  ['The meeting is on 2026-10-19 at 15:30.', 'The meeting is on October nineteenth, twenty twenty-six at three thirty PM.'],
+  ['Costs fell to $1,250.50', 'Costs fell to one thousand two hundred fifty dollars and fifty cents'],
+  ['Version 1.2.3, session 20261019-063124.', 'Version 1.2.3, session 20261019-063124.']
+];
+
+for (const [written, spoken] of cases) {
+  test(`normalizes "${written}"`, () => {
+    assert.equal(normalizer.normalize(written), spoken);
+  });
+}
+
+test('leaves digits to the voice outside English', () => {
+  assert.equal(normalizer.normalize('Kostet 5 € oder 15% mehr', 'de'), 'Kostet 5 Euro oder 15 Prozent mehr');
+});
+
+test('keeps phoneme hints only for engines that read them', () => {
+  const text = normalizer.normalize('Kubernetes');
+  assert.equal(renderSpeechHints(text), 'koo-ber-net-eez');
+  assert.match(renderSpeechHints(text, { phonemes: true }), /^<phoneme alphabet="ipa" ph="ˌkuːbɚˈnɛtiz">koo-ber-net-eez<\/phoneme>$/);
+});